@@ -1,7 +1,20 @@
 // Immediately log that the script is loading
 console.log('app.js: Script starting...');
 
-import { loadTextToSpeech, loadVoiceStyle, writeWavFile, configureEnv } from './helper.js';
+import { writeWavFile, randomSeed } from './helper.js';
+import { TTSWorkerPool, planPool } from './tts-pool.js';
+import { extractTextFromEPUB, loadJSZip } from './epub.js';
+import { encodeM4B } from './m4b.js';
+import { encodeMP3 } from './mp3.js';
+import { encodeOggOpus } from './ogg-opus.js';
+import { encodeFLAC } from './flac.js';
+import { wavHeader, verifyWavHeader } from './wav.js';
+import { BlobSink, canWriteToDisk, pickFileSink } from './export-sink.js';
+import { normalizeEntry, lexiconToJSON, parseLexiconJSON, mergeLexicons } from './lexicon.js';
+import { isSSML, parseSSML, chunkSSML, chunkPause } from './ssml.js';
+import { scanUnsupportedCharacters } from './preflight.js';
+import { chunkText } from './segmenter.js';
+import { ChunkPlayer } from './player.js';
 
 console.log('app.js: Imports successful');
 
@@ -9,26 +22,43 @@ console.log('app.js: Imports successful');
 // UI Yielding Helper - Prevents browser freeze
 // ============================================
 function yieldToUI() {
+    // Hidden tabs get no frames and throttled timers; synthesis runs in the
+    // worker, so there is nothing to wait for
+    if (document.hidden) return Promise.resolve();
     return new Promise(resolve => {
         // Use requestAnimationFrame + setTimeout for better responsiveness
         requestAnimationFrame(() => setTimeout(resolve, 0));
     });
 }
 
+// Chrome does not freeze background tabs that hold a Web Lock, so long
+// conversions keep running. Returns a function that releases the lock.
+function holdBackgroundLock() {
+    if (!navigator.locks) return () => {};
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    navigator.locks.request('lumina-generation', () => held).catch(err => {
+        console.warn('Could not take background lock:', err);
+    });
+    return release;
+}
+
 // ============================================
 // IndexedDB Audio Storage - Streams chunks to disk instead of RAM
 // ============================================
 const AudioDB = {
     DB_NAME: 'AudiobookGeneratorDB',
     STORE_NAME: 'audioChunks',
+    STAGING_STORE: 'stagedChunks',
     META_STORE: 'metadata',
+    LEXICON_STORE: 'lexicons',
     db: null,
     
     async init() {
         if (this.db) return this.db;
         
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, 1);
+            const request = indexedDB.open(this.DB_NAME, 4);
             
             request.onerror = () => reject(request.error);
             
@@ -41,29 +71,49 @@ const AudioDB = {
                 const db = event.target.result;
                 
                 // Store for audio chunks
-                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-                    db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                const chunkStore = db.objectStoreNames.contains(this.STORE_NAME)
+                    ? event.target.transaction.objectStore(this.STORE_NAME)
+                    : db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                
+                // Chunk lengths, readable without loading the samples (see getChunkLengths)
+                if (!chunkStore.indexNames.contains('length')) {
+                    chunkStore.createIndex('length', 'length');
+                }
+                
+                // Chunks of a run, moved into audioChunks chapter by chapter as
+                // each completes, so a failed re-render keeps the old audio
+                if (!db.objectStoreNames.contains(this.STAGING_STORE)) {
+                    db.createObjectStore(this.STAGING_STORE, { keyPath: 'id' });
                 }
                 
                 // Store for metadata (total chunks, sample rate, etc.)
                 if (!db.objectStoreNames.contains(this.META_STORE)) {
                     db.createObjectStore(this.META_STORE, { keyPath: 'key' });
                 }
+                
+                // Pronunciation lexicons, one per book (survive clear())
+                if (!db.objectStoreNames.contains(this.LEXICON_STORE)) {
+                    db.createObjectStore(this.LEXICON_STORE, { keyPath: 'bookKey' });
+                }
             };
         });
     },
     
-    async saveChunk(id, audioData) {
+    // `meta` is stored alongside the samples (e.g. { chapter, seed, text }).
+    // Chunks of a run in progress go to the staging store (see commitChapter).
+    async saveChunk(id, audioData, meta = {}, { staged = false } = {}) {
         await this.init();
+        const storeName = staged ? this.STAGING_STORE : this.STORE_NAME;
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction(this.STORE_NAME, 'readwrite');
-            const store = tx.objectStore(this.STORE_NAME);
+            const tx = this.db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
             
             // Convert Float32Array to regular array for storage
             const request = store.put({ 
                 id, 
                 data: Array.from(audioData),
-                length: audioData.length 
+                length: audioData.length,
+                ...meta
             });
             
             request.onsuccess = () => resolve();
@@ -71,24 +121,108 @@ const AudioDB = {
         });
     },
     
+    // Staged chunks first: while a chapter is re-rendered, its new audio
+    // is what plays
     async getChunk(id) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.STAGING_STORE, this.STORE_NAME], 'readonly');
+            const staged = tx.objectStore(this.STAGING_STORE).get(id);
+            
+            staged.onsuccess = () => {
+                if (staged.result) {
+                    resolve(new Float32Array(staged.result.data));
+                    return;
+                }
+                const request = tx.objectStore(this.STORE_NAME).get(id);
+                request.onsuccess = () => resolve(request.result ? new Float32Array(request.result.data) : null);
+                request.onerror = () => reject(request.error);
+            };
+            staged.onerror = () => reject(staged.error);
+        });
+    },
+    
+    // All chunk keys in playback order. Keys are [chapterIndex, chunkIndex]
+    // arrays, which IndexedDB sorts chapter by chapter.
+    async getChunkKeys(range = null) {
         await this.init();
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction(this.STORE_NAME, 'readonly');
             const store = tx.objectStore(this.STORE_NAME);
-            const request = store.get(id);
+            const request = store.getAllKeys(range);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    // [{ id, length }] of every chunk in playback order, read from the
+    // length index so that no samples are loaded
+    async getChunkLengths() {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STORE_NAME, 'readonly');
+            const request = tx.objectStore(this.STORE_NAME).index('length').openKeyCursor();
+            const chunks = [];
             
             request.onsuccess = () => {
-                if (request.result) {
-                    resolve(new Float32Array(request.result.data));
+                const cursor = request.result;
+                if (cursor) {
+                    chunks.push({ id: cursor.primaryKey, length: cursor.key });
+                    cursor.continue();
                 } else {
-                    resolve(null);
+                    resolve(chunks.sort((a, b) => indexedDB.cmp(a.id, b.id)));
                 }
             };
             request.onerror = () => reject(request.error);
         });
     },
     
+    async getChapterKeys(chapterIndex) {
+        return this.getChunkKeys(IDBKeyRange.bound([chapterIndex], [chapterIndex, Infinity]));
+    },
+    
+    // Replace the stored audio of a chapter with its staged chunks, in one
+    // transaction. Chunks are moved one by one, so the chapter is never
+    // held in memory.
+    async commitChapter(chapterIndex) {
+        await this.init();
+        const range = IDBKeyRange.bound([chapterIndex], [chapterIndex, Infinity]);
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction([this.STAGING_STORE, this.STORE_NAME], 'readwrite');
+            const store = tx.objectStore(this.STORE_NAME);
+            store.delete(range);
+            const request = tx.objectStore(this.STAGING_STORE).openCursor(range);
+            
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                store.put(cursor.value);
+                cursor.delete();
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+    
+    // Drop the staged chunks of a run that did not finish
+    async clearStaged() {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.STAGING_STORE, 'readwrite');
+            tx.objectStore(this.STAGING_STORE).clear();
+            
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+    
+    // Per-chapter { chunks, samples, complete } for the book currently stored
+    async getChapterStats() {
+        return (await this.getMeta('chapterStats')) || {};
+    },
+    
     async getChunkCount() {
         await this.init();
         return new Promise((resolve, reject) => {
@@ -125,11 +259,34 @@ const AudioDB = {
         });
     },
     
+    async getLexicon(bookKey) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.LEXICON_STORE, 'readonly');
+            const request = tx.objectStore(this.LEXICON_STORE).get(bookKey);
+            
+            request.onsuccess = () => resolve(request.result?.entries || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
+    async saveLexicon(bookKey, entries) {
+        await this.init();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.LEXICON_STORE, 'readwrite');
+            const request = tx.objectStore(this.LEXICON_STORE).put({ bookKey, entries });
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+    
     async clear() {
         await this.init();
         return new Promise((resolve, reject) => {
-            const tx = this.db.transaction([this.STORE_NAME, this.META_STORE], 'readwrite');
+            const tx = this.db.transaction([this.STORE_NAME, this.STAGING_STORE, this.META_STORE], 'readwrite');
             tx.objectStore(this.STORE_NAME).clear();
+            tx.objectStore(this.STAGING_STORE).clear();
             tx.objectStore(this.META_STORE).clear();
             
             tx.oncomplete = () => resolve();
@@ -158,70 +315,47 @@ const AudioDB = {
         });
     },
     
-    // Combine all chunks and return as WAV blob - optimized version
-    // Pass totalChunks and totalSamples from state for instant start (no DB scanning)
-    async combineAndExport(sampleRate, onProgress, totalChunks, totalSamples) {
+    // Combine chunks (all of them by default, in key order) into a WAV,
+    // written to `sink` (in memory by default, or a file on disk).
+    // Returns the resulting Blob or File.
+    async combineAndExport(sampleRate, onProgress, keys = null, sink = new BlobSink('audio/wav')) {
         await this.init();
         
-        // If totals not provided, fall back to counting (slower)
-        if (!totalChunks) totalChunks = await this.getChunkCount();
-        if (!totalSamples) totalSamples = await this.getTotalSamples();
+        if (!keys) keys = await this.getChunkKeys();
+        if (keys.length === 0) return null;
         
-        if (totalChunks === 0) return null;
+        // A file on disk is patched in place, so its header keeps room for ds64
+        const headerOptions = { reserveDs64: sink.seekable };
+        let dataSize = 0;
         
-        // Create WAV header
-        const headerSize = 44;
-        const dataSize = totalSamples * 2; // 16-bit = 2 bytes per sample
-        const fileSize = headerSize + dataSize;
-        
-        // For very large files, we'll build the WAV in chunks
-        const headerBuffer = new ArrayBuffer(headerSize);
-        const headerView = new DataView(headerBuffer);
-        
-        const writeString = (offset, string) => {
-            for (let i = 0; i < string.length; i++) {
-                headerView.setUint8(offset + i, string.charCodeAt(i));
-            }
-        };
-        
-        writeString(0, 'RIFF');
-        headerView.setUint32(4, fileSize - 8, true);
-        writeString(8, 'WAVE');
-        writeString(12, 'fmt ');
-        headerView.setUint32(16, 16, true);
-        headerView.setUint16(20, 1, true); // PCM
-        headerView.setUint16(22, 1, true); // Mono
-        headerView.setUint32(24, sampleRate, true);
-        headerView.setUint32(28, sampleRate * 2, true);
-        headerView.setUint16(32, 2, true);
-        headerView.setUint16(34, 16, true);
-        writeString(36, 'data');
-        headerView.setUint32(40, dataSize, true);
-        
-        // Collect all parts
-        const parts = [new Uint8Array(headerBuffer)];
-        
-        // Process chunks in order using sequential get (faster than cursor)
-        for (let i = 0; i < totalChunks; i++) {
-            if (onProgress) onProgress(i, totalChunks);
-            
-            const chunk = await this.getChunk(i);
-            if (!chunk) continue;
+        try {
+            // Header goes first but is finalized last, once the data size is known
+            await sink.write(wavHeader(sampleRate, 0, headerOptions));
             
-            // Convert Float32 to Int16
-            const int16 = new Int16Array(chunk.length);
-            for (let j = 0; j < chunk.length; j++) {
-                const s = Math.max(-1, Math.min(1, chunk[j]));
-                int16[j] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+            for (let i = 0; i < keys.length; i++) {
+                if (onProgress) onProgress(i, keys.length);
+                
+                const chunk = await this.getChunk(keys[i]);
+                if (!chunk) continue;
+                
+                const int16 = floatToInt16(chunk);
+                await sink.write(new Uint8Array(int16.buffer));
+                dataSize += int16.byteLength;
+                
+                // Yield to prevent UI freeze
+                await new Promise(r => setTimeout(r, 0));
             }
             
-            parts.push(new Uint8Array(int16.buffer));
-            
-            // Yield to prevent UI freeze
-            await new Promise(r => setTimeout(r, 0));
+            // RIFF, or RF64 once the data passes the 4 GB limit
+            await sink.writeHeader(wavHeader(sampleRate, dataSize, headerOptions));
+        } catch (err) {
+            await sink.abort();
+            throw err;
         }
         
-        return new Blob(parts, { type: 'audio/wav' });
+        const result = await sink.close();
+        await verifyWavHeader(result, { sampleRate, dataSize });
+        return result;
     },
     
     // Get preview audio (first N seconds)
@@ -229,12 +363,12 @@ const AudioDB = {
         await this.init();
         
         const maxSamples = sampleRate * maxSeconds;
-        const chunkCount = await this.getChunkCount();
+        const keys = await this.getChunkKeys();
         
         let collected = new Float32Array(0);
         
-        for (let i = 0; i < chunkCount && collected.length < maxSamples; i++) {
-            const chunk = await this.getChunk(i);
+        for (let i = 0; i < keys.length && collected.length < maxSamples; i++) {
+            const chunk = await this.getChunk(keys[i]);
             if (!chunk) continue;
             
             const remaining = maxSamples - collected.length;
@@ -251,40 +385,31 @@ const AudioDB = {
 };
 
 // ============================================
-// Float32 to WAV conversion (avoids AudioBuffer size limits)
+// Float32 to Int16 PCM - shared by every export format so they all
+// carry exactly the same samples
 // ============================================
-function float32ToWav(float32Array, sampleRate) {
-    const buffer = new ArrayBuffer(44 + float32Array.length * 2);
-    const view = new DataView(buffer);
-    
-    const writeString = (offset, string) => {
-        for (let i = 0; i < string.length; i++) {
-            view.setUint8(offset + i, string.charCodeAt(i));
-        }
-    };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + float32Array.length * 2, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true); // PCM
-    view.setUint16(22, 1, true); // Mono
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, 'data');
-    view.setUint32(40, float32Array.length * 2, true);
-    
-    let offset = 44;
-    for (let i = 0; i < float32Array.length; i++) {
-        const s = Math.max(-1, Math.min(1, float32Array[i]));
-        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-        offset += 2;
-    }
-    
-    return new Blob([buffer], { type: 'audio/wav' });
+function floatToInt16(chunk) {
+    const int16 = new Int16Array(chunk.length);
+    for (let j = 0; j < chunk.length; j++) {
+        const s = Math.max(-1, Math.min(1, chunk[j]));
+        int16[j] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return int16;
+}
+
+// Stream stored chunks as { pcm, chapter } for the encoders, one at a time
+async function* readPcmChunks(keys, chapters, onProgress) {
+    for (let i = 0; i < keys.length; i++) {
+        if (onProgress) onProgress(i, keys.length);
+        
+        const chunk = await AudioDB.getChunk(keys[i]);
+        if (!chunk) continue;
+        
+        yield { pcm: floatToInt16(chunk), chapter: chapters[keys[i][0]] || null };
+        
+        // Yield to prevent UI freeze
+        await new Promise(r => setTimeout(r, 0));
+    }
 }
 
 // ============================================
@@ -295,15 +420,46 @@ const ASSETS_PATH = './assets';
 const ONNX_PATH = `${ASSETS_PATH}/onnx`;
 const VOICE_STYLES_PATH = `${ASSETS_PATH}/voice_styles`;
 
+// Download formats: file extension per format (see exportTrack), and the
+// WebCodecs encoder config a format needs (the model's 44.1 kHz for AAC;
+// Opus is resampled to 48 kHz)
+const EXPORT_FORMATS = {
+    wav: { extension: 'wav' },
+    mp3: { extension: 'mp3' },
+    m4b: { extension: 'm4b', encoder: { codec: 'mp4a.40.2', sampleRate: 44100, numberOfChannels: 1 } },
+    opus: { extension: 'opus', encoder: { codec: 'opus', sampleRate: 48000, numberOfChannels: 1 } },
+    flac: { extension: 'flac' }
+};
+const FALLBACK_EXPORT_FORMAT = 'mp3';
+
+// Lexicon used for pasted text that does not come from a book file
+const DEFAULT_LEXICON_KEY = 'default';
+
+// Pause after a paragraph or heading, relative to the pause between sentences
+const PARAGRAPH_PAUSE_FACTOR = 2;
+
+// Chunks are sorted by length within this many batches' worth of chunks
+const BATCH_WINDOW = 8;
+
+// A chunk still running after this long is stopped and the conversion fails,
+// rather than a stuck worker hanging it forever
+const CHUNK_TIMEOUT_SECONDS = 300;
+
 // ============================================
 // State
 // ============================================
 const state = {
-    tts: null,
+    tts: null,                // TTSWorkerPool; synthesis runs in tts-worker.js instances
     cfgs: null,
-    currentStyle: null,
     text: '',
-    audioBuffer: null,
+    chapters: [],             // [{ index, title, level, start, end }] offsets into text
+    selectedChapters: new Set(), // Chapter indexes to convert
+    bookKey: null,            // Identifies the loaded book; null once the text is edited
+    bookMetadata: null,       // { title, author, cover } from the EPUB package
+    lexicon: [],              // [{ word, respelling, caseSensitive, wholeWord }]
+    lexiconKey: DEFAULT_LEXICON_KEY, // Book the lexicon belongs to; kept while the text is edited
+    preflightReport: null,    // Characters the model cannot speak, from the last check
+    preflightAccepted: false, // User chose to convert despite the report; reset when text or lexicon change
     fullAudioBlob: null,      // Full WAV blob for download (avoids re-encoding)
     fullAudioDuration: 0,     // Full audio duration in seconds
     audioInIndexedDB: false,  // Whether audio chunks are stored in IndexedDB
@@ -313,11 +469,7 @@ const state = {
     isGenerating: false,
     isCancelled: false,
     audioContext: null,
-    sourceNode: null,
-    analyser: null,
-    startTime: 0,
-    pausedTime: 0,
-    isPlaying: false,
+    player: null,             // ChunkPlayer over the chunks of the last conversion
     animationFrame: null,
     settings: {
         voice: 'M1',
@@ -325,7 +477,15 @@ const state = {
         speed: 1.0,
         silenceDuration: 0.3,
         executionProvider: 'wasm',
-        numThreads: 4
+        numThreads: 4,
+        batchSize: 1,
+        exportMode: 'single',
+        exportFormat: 'wav',
+        mp3Mode: 'cbr',
+        mp3Bitrate: 64,
+        mp3VbrQuality: 6,
+        mp3Channels: 1,
+        opusBitrate: 24
     }
 };
 
@@ -349,6 +509,33 @@ function initDOMElements() {
         charCount: document.getElementById('char-count'),
         parsingOverlay: document.getElementById('parsing-overlay'),
         
+        // Chapters
+        chaptersContainer: document.getElementById('chapters-container'),
+        chapterList: document.getElementById('chapter-list'),
+        chaptersSelectedCount: document.getElementById('chapters-selected-count'),
+        chaptersTotalCount: document.getElementById('chapters-total-count'),
+        selectAllChaptersBtn: document.getElementById('select-all-chapters-btn'),
+        selectNoChaptersBtn: document.getElementById('select-no-chapters-btn'),
+        
+        // Pronunciation lexicon
+        lexiconCount: document.getElementById('lexicon-count'),
+        lexiconForm: document.getElementById('lexicon-form'),
+        lexiconWord: document.getElementById('lexicon-word'),
+        lexiconRespelling: document.getElementById('lexicon-respelling'),
+        lexiconCaseSensitive: document.getElementById('lexicon-case-sensitive'),
+        lexiconWholeWord: document.getElementById('lexicon-whole-word'),
+        lexiconList: document.getElementById('lexicon-list'),
+        lexiconImportBtn: document.getElementById('lexicon-import-btn'),
+        lexiconImportInput: document.getElementById('lexicon-import-input'),
+        lexiconExportBtn: document.getElementById('lexicon-export-btn'),
+        
+        // Pre-flight report
+        preflightContainer: document.getElementById('preflight-container'),
+        preflightSummary: document.getElementById('preflight-summary'),
+        preflightList: document.getElementById('preflight-list'),
+        preflightReplaceAllBtn: document.getElementById('preflight-replace-all-btn'),
+        preflightIgnoreBtn: document.getElementById('preflight-ignore-btn'),
+        
         // Actions
         generateBtn: document.getElementById('generate-btn'),
         generateBtnText: document.getElementById('generate-btn-text'),
@@ -369,6 +556,8 @@ function initDOMElements() {
         timeTotal: document.getElementById('time-total'),
         timeline: document.getElementById('timeline'),
         timelineProgress: document.getElementById('timeline-progress'),
+        timelineBuffered: document.getElementById('timeline-buffered'),
+        bufferHealth: document.getElementById('buffer-health'),
         canvas: document.getElementById('visualizer-canvas'),
         
         // Error
@@ -387,8 +576,20 @@ function initDOMElements() {
         speedValue: document.getElementById('speed-value'),
         silenceDuration: document.getElementById('silence-duration'),
         silenceValue: document.getElementById('silence-value'),
+        exportModeSelect: document.getElementById('export-mode'),
+        exportFormatSelect: document.getElementById('export-format'),
+        mp3OptionsContainer: document.getElementById('mp3-options-container'),
+        mp3ModeSelect: document.getElementById('mp3-mode'),
+        mp3BitrateContainer: document.getElementById('mp3-bitrate-container'),
+        mp3BitrateSelect: document.getElementById('mp3-bitrate'),
+        mp3VbrContainer: document.getElementById('mp3-vbr-container'),
+        mp3VbrQualitySelect: document.getElementById('mp3-vbr-quality'),
+        mp3ChannelsSelect: document.getElementById('mp3-channels'),
+        opusOptionsContainer: document.getElementById('opus-options-container'),
+        opusBitrateSelect: document.getElementById('opus-bitrate'),
         executionProviderSelect: document.getElementById('execution-provider'),
         numThreadsInput: document.getElementById('num-threads'),
+        batchSizeInput: document.getElementById('batch-size'),
         threadsContainer: document.getElementById('threads-container'),
     };
     
@@ -414,12 +615,18 @@ async function init() {
         console.log('\n[Init] Loading settings...');
         loadSettings();
         console.log('[Init] Settings loaded:', JSON.stringify(state.settings, null, 2));
+        disableUnsupportedFormats();
+        
+        // Lexicon for pasted text until a book is loaded
+        loadLexicon(DEFAULT_LEXICON_KEY);
 
-        // Configure ONNX Env
-        console.log('\n[Init] Configuring ONNX environment...');
+        // ONNX Env is configured in each worker, before the sessions are created
+        const pool = planPool({
+            executionProvider: state.settings.executionProvider,
+            maxThreads: state.settings.numThreads
+        });
         if (state.settings.executionProvider === 'wasm') {
-            console.log('[Init] Using WASM with', state.settings.numThreads, 'threads');
-            configureEnv({ numThreads: state.settings.numThreads });
+            console.log('[Init] Using WASM:', pool.size, 'workers with', pool.threadsPerWorker, 'threads each');
         } else {
             console.log('[Init] Using execution provider:', state.settings.executionProvider);
         }
@@ -450,9 +657,16 @@ async function init() {
             updateGenerateBtn(true, msg);
         };
         
-        const result = await loadTextToSpeech(ONNX_PATH, sessionOptions, progressCallback);
-        state.tts = result.textToSpeech;
+        const tts = new TTSWorkerPool(pool.size);
+        const result = await tts.load({
+            onnxDir: ONNX_PATH,
+            voiceStylesPath: VOICE_STYLES_PATH, // Also for SSML <voice name>
+            sessionOptions,
+            numThreads: pool.threadsPerWorker
+        }, progressCallback);
+        state.tts = tts;
         state.cfgs = result.cfgs;
+        state.tts.setLexicon(state.lexicon);
         
         // Initialize Audio Context with the sample rate from the TTS config
         const sampleRate = state.cfgs.ae.sample_rate || 44100;
@@ -484,7 +698,15 @@ function loadSettings() {
         speed: 1.0,
         silenceDuration: 0.3,
         executionProvider: 'wasm',
-        numThreads: 4
+        numThreads: 4,
+        batchSize: 1,
+        exportMode: 'single',
+        exportFormat: 'wav',
+        mp3Mode: 'cbr',
+        mp3Bitrate: 64,
+        mp3VbrQuality: 6,
+        mp3Channels: 1,
+        opusBitrate: 24
     };
 
     const stored = localStorage.getItem('lumina_settings');
@@ -510,11 +732,26 @@ function updateSettingsUI() {
         el.silenceDuration.value = state.settings.silenceDuration;
         if (el.silenceValue) el.silenceValue.textContent = state.settings.silenceDuration + 's';
     }
+    if (el.exportModeSelect) {
+        el.exportModeSelect.value = state.settings.exportMode;
+    }
+    if (el.exportFormatSelect) {
+        el.exportFormatSelect.value = state.settings.exportFormat;
+        if (el.mp3ModeSelect) el.mp3ModeSelect.value = state.settings.mp3Mode;
+        if (el.mp3BitrateSelect) el.mp3BitrateSelect.value = state.settings.mp3Bitrate;
+        if (el.mp3VbrQualitySelect) el.mp3VbrQualitySelect.value = state.settings.mp3VbrQuality;
+        if (el.mp3ChannelsSelect) el.mp3ChannelsSelect.value = state.settings.mp3Channels;
+        if (el.opusBitrateSelect) el.opusBitrateSelect.value = state.settings.opusBitrate;
+        toggleFormatOptions();
+    }
     if (el.executionProviderSelect) {
         el.executionProviderSelect.value = state.settings.executionProvider;
         if (el.numThreadsInput) el.numThreadsInput.value = state.settings.numThreads;
         toggleThreadsInput();
     }
+    if (el.batchSizeInput) {
+        el.batchSizeInput.value = state.settings.batchSize;
+    }
 }
 
 async function saveSettings() {
@@ -526,8 +763,16 @@ async function saveSettings() {
     state.settings.inferenceSteps = parseInt(el.inferenceSteps.value);
     state.settings.speed = parseFloat(el.speed.value);
     state.settings.silenceDuration = parseFloat(el.silenceDuration.value);
+    state.settings.exportMode = el.exportModeSelect.value;
+    state.settings.exportFormat = el.exportFormatSelect.value;
+    state.settings.mp3Mode = el.mp3ModeSelect.value;
+    state.settings.mp3Bitrate = parseInt(el.mp3BitrateSelect.value);
+    state.settings.mp3VbrQuality = parseInt(el.mp3VbrQualitySelect.value);
+    state.settings.mp3Channels = parseInt(el.mp3ChannelsSelect.value);
+    state.settings.opusBitrate = parseInt(el.opusBitrateSelect.value);
     state.settings.executionProvider = el.executionProviderSelect.value;
     state.settings.numThreads = parseInt(el.numThreadsInput.value);
+    state.settings.batchSize = Math.max(1, parseInt(el.batchSizeInput.value) || 1);
     
     localStorage.setItem('lumina_settings', JSON.stringify(state.settings));
     
@@ -543,6 +788,49 @@ async function saveSettings() {
     }
 }
 
+// Grey out the export formats whose encoder this browser lacks (M4B and
+// Opus need WebCodecs; Firefox, for one, has no AAC encoder)
+async function disableUnsupportedFormats() {
+    for (const [format, { encoder }] of Object.entries(EXPORT_FORMATS)) {
+        if (!encoder) continue;
+        let supported = false;
+        try {
+            supported = typeof AudioEncoder !== 'undefined' && (await AudioEncoder.isConfigSupported(encoder)).supported;
+        } catch (err) {
+            console.warn(`Could not check ${format} encoder support:`, err);
+        }
+        if (supported) continue;
+        
+        console.log(`Export format ${format} is not supported in this browser`);
+        const option = el.exportFormatSelect?.querySelector(`option[value="${format}"]`);
+        if (option) {
+            option.disabled = true;
+            option.textContent += ' - not supported in this browser';
+        }
+        if (state.settings.exportFormat === format) {
+            state.settings.exportFormat = FALLBACK_EXPORT_FORMAT;
+            if (el.exportFormatSelect) el.exportFormatSelect.value = FALLBACK_EXPORT_FORMAT;
+            toggleFormatOptions();
+        }
+    }
+}
+
+// Show only the options of the selected export format
+function toggleFormatOptions() {
+    if (!el.exportFormatSelect) return;
+    if (el.mp3OptionsContainer) {
+        el.mp3OptionsContainer.classList.toggle('hidden', el.exportFormatSelect.value !== 'mp3');
+    }
+    if (el.mp3ModeSelect) {
+        const vbr = el.mp3ModeSelect.value === 'vbr';
+        el.mp3BitrateContainer?.classList.toggle('hidden', vbr);
+        el.mp3VbrContainer?.classList.toggle('hidden', !vbr);
+    }
+    if (el.opusOptionsContainer) {
+        el.opusOptionsContainer.classList.toggle('hidden', el.exportFormatSelect.value !== 'opus');
+    }
+}
+
 function toggleThreadsInput() {
     if (!el.threadsContainer || !el.executionProviderSelect) return;
     if (el.executionProviderSelect.value === 'webgpu') {
@@ -554,9 +842,9 @@ function toggleThreadsInput() {
 
 // --- Voice Selection ---
 async function loadVoiceStyleByName(name) {
-    const stylePath = `${VOICE_STYLES_PATH}/${name}.json`;
-    console.log('Loading voice style from:', stylePath);
-    state.currentStyle = await loadVoiceStyle([stylePath]);
+    if (!state.tts) return; // Applied from settings once the models are loaded
+    console.log('Loading voice style:', name);
+    await state.tts.setVoice(name);
 }
 
 // --- File Processing ---
@@ -566,8 +854,8 @@ async function handleFile(file) {
     if (file.name.endsWith('.epub')) {
         if (el.parsingOverlay) el.parsingOverlay.classList.remove('hidden');
         try {
-            const text = await extractTextFromEPUB(file);
-            setText(text);
+            const { text, chapters, metadata } = await extractTextFromEPUB(file);
+            setText(text, chapters, getBookKey(file), metadata);
         } catch (err) {
             console.error('Failed to parse EPUB:', err);
             showError('Failed to parse EPUB: ' + err.message);
@@ -576,39 +864,25 @@ async function handleFile(file) {
         }
     } else if (file.name.endsWith('.txt')) {
         const text = await file.text();
-        setText(text);
+        setText(text, [], getBookKey(file), { title: file.name.replace(/\.txt$/i, ''), author: null, cover: null });
     } else {
         showError('Please upload a valid .epub or .txt file');
     }
 }
 
-async function extractTextFromEPUB(file) {
-    console.log('Extracting text from EPUB...');
-    // Dynamic import for JSZip
-    const JSZip = await import('https://esm.sh/jszip@3.10.1');
-    const zip = await JSZip.default.loadAsync(file);
-    
-    // Simple extraction strategy: find all HTML/XHTML files and extract text
-    let fullText = '';
-    const files = Object.keys(zip.files).filter(name => name.endsWith('.html') || name.endsWith('.xhtml'));
-    
-    // Sort files (naive sorting, ideally parse OPF)
-    files.sort();
-    
-    console.log('Found HTML files:', files.length);
-    
-    for (const filename of files) {
-        const content = await zip.file(filename).async('string');
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(content, 'text/html');
-        fullText += doc.body.textContent + '\n\n';
-    }
-    
-    return fullText.replace(/\s+/g, ' ').trim();
+// Stored audio is reused across runs only for the same file
+function getBookKey(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
 }
 
-function setText(text) {
+function setText(text, chapters = [], bookKey = null, metadata = null) {
     state.text = text;
+    state.chapters = chapters;
+    state.bookMetadata = metadata;
+    state.selectedChapters = new Set(chapters.map(chapter => chapter.index));
+    state.bookKey = bookKey;
+    loadLexicon(bookKey || DEFAULT_LEXICON_KEY);
+    resetPreflight();
     if (el.textInput) el.textInput.value = text;
     if (el.charCount) el.charCount.textContent = text.length.toLocaleString();
     
@@ -616,16 +890,24 @@ function setText(text) {
     if (el.dropZone) el.dropZone.classList.add('hidden');
     if (el.editorZone) el.editorZone.classList.remove('hidden');
     
+    renderChapterList();
     updateGenerateBtn(false);
-    console.log('Text set, characters:', text.length);
+    console.log('Text set, characters:', text.length, 'chapters:', chapters.length);
 }
 
 function clearText() {
     state.text = '';
+    state.chapters = [];
+    state.selectedChapters = new Set();
+    state.bookKey = null;
+    state.bookMetadata = null;
+    loadLexicon(DEFAULT_LEXICON_KEY);
+    resetPreflight();
     if (el.textInput) el.textInput.value = '';
     if (el.charCount) el.charCount.textContent = '0';
     if (el.dropZone) el.dropZone.classList.remove('hidden');
     if (el.editorZone) el.editorZone.classList.add('hidden');
+    renderChapterList();
     updateGenerateBtn(true); // Disable generate
 }
 
@@ -636,165 +918,557 @@ async function startGeneration() {
         return;
     }
     
+    const chapters = getChapters();
+    const selected = chapters.filter(chapter => isChapterSelected(chapter));
+    if (selected.length === 0) {
+        showError('Select at least one chapter to convert');
+        return;
+    }
+    
+    // Stop before a long conversion if some characters would be garbled
+    if (!state.preflightAccepted) {
+        updateGenerateBtn(true, 'Checking text...');
+        let report = [];
+        try {
+            report = await runPreflight();
+        } catch (err) {
+            console.warn('Pre-flight check failed, converting anyway:', err);
+        }
+        updateGenerateBtn(false, 'Convert to Audiobook');
+        if (report.length > 0) {
+            showError(`${report.length} character${report.length === 1 ? '' : 's'} cannot be spoken - review them before converting`);
+            el.preflightContainer?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+    }
+    
     state.isGenerating = true;
     state.isCancelled = false;
     updateGenerateBtn(false, '⏹ Cancel Generation');  // Button stays enabled for cancel
+    const releaseBackgroundLock = holdBackgroundLock();
     if (el.progressContainer) el.progressContainer.classList.remove('hidden');
     if (el.playerContainer) el.playerContainer.classList.add('hidden');
     
+    // Per-chapter stats of the stored audio; this run's chapters replace
+    // theirs one by one as they complete
+    let chapterStats = {};
+    
     try {
-        // Initialize IndexedDB and clear previous data
         await AudioDB.init();
-        await AudioDB.clear();
         
-        // 1. Chunk Text
-        const chunks = chunkText(state.text);
+        // Keep audio of other chapters when re-rendering part of the same book,
+        // start from scratch for a different (or edited) text. SSML is always
+        // converted whole, as chapter 0, so nothing stored is kept for it.
+        const ssml = isSSML(state.text);
+        const storedBookKey = await AudioDB.getMeta('bookKey');
+        if (!ssml && state.bookKey && storedBookKey === state.bookKey) {
+            chapterStats = await AudioDB.getChapterStats();
+            await AudioDB.clearStaged(); // Left over if the page closed mid-run
+        } else {
+            await AudioDB.clear();
+            await AudioDB.saveMeta('bookKey', state.bookKey);
+        }
+        await AudioDB.saveMeta('chapterStats', chapterStats);
         
         // Get settings
-        const { inferenceSteps, speed, silenceDuration } = state.settings;
+        const { inferenceSteps, speed, silenceDuration, batchSize } = state.settings;
+        // Stored with every chunk: with its text and seed, all it takes to
+        // synthesize that chunk again identically (the lexicon is kept per book)
+        const synthesisSettings = { voice: state.settings.voice, inferenceSteps, speed, silenceDuration, batchSize };
+        
+        // 1. Chunk Text - per selected chapter so every chunk knows where it belongs,
+        // and per paragraph so chunks never straddle a paragraph or heading.
+        // SSML is split into self-contained <speak> documents instead.
+        // Chunks are keyed [chapterIndex, chunkIndex] in AudioDB.
+        const chunks = [];
+        const ssmlChunks = ssml ? chunkSSML(state.text) : null;
+        if (ssmlChunks) {
+            ssmlChunks.forEach((text, j) => {
+                chunks.push({ id: [0, j], text, seed: randomSeed(), chapter: 0, pause: chunkPause(text, silenceDuration) });
+            });
+        }
+        for (const chapter of ssmlChunks ? [] : selected) {
+            let chunkIndex = 0;
+            for (const paragraph of splitParagraphs(state.text.slice(chapter.start, chapter.end))) {
+                const pieces = chunkText(paragraph);
+                pieces.forEach((text, j) => {
+                    const isParagraphEnd = j === pieces.length - 1;
+                    chunks.push({
+                        id: [chapter.index, chunkIndex++],
+                        text,
+                        seed: randomSeed(),
+                        chapter: chapter.index,
+                        pause: isParagraphEnd ? silenceDuration * PARAGRAPH_PAUSE_FACTOR : silenceDuration
+                    });
+                });
+            }
+        }
+        await AudioDB.saveMeta('chapters', chapters);
         const sampleRate = state.tts.sampleRate;
         
-        console.log('Processing', chunks.length, 'chunks with settings:', { inferenceSteps, speed, silenceDuration });
+        // Player over every chunk of the book: those kept from earlier runs and
+        // this run's, which become playable as they are stored. It starts at
+        // the first chunk of this run.
+        if (state.player) state.player.destroy();
+        state.player = new ChunkPlayer(state.audioContext, {
+            sampleRate,
+            loadChunk: (id) => AudioDB.getChunk(id),
+            onChange: updatePlayerUI
+        });
+        // Re-rendered chapters keep their old audio stored until they complete,
+        // but play the new
+        const runChapters = new Set(chunks.map(chunk => chunk.chapter));
+        const storedChunks = (await AudioDB.getChunkLengths()).filter(({ id }) => !runChapters.has(id[0]));
+        const pendingChunks = chunks.map(chunk => ({ id: chunk.id, length: null }));
+        state.player.setChunks([...storedChunks, ...pendingChunks].sort((a, b) => indexedDB.cmp(a.id, b.id)));
+        state.player.seek(state.player.duration);
+        
+        console.log('Processing', chunks.length, 'chunks from', selected.length, 'of', chapters.length, 'chapters with settings:', { inferenceSteps, speed, silenceDuration });
         console.log('Using IndexedDB streaming for memory efficiency');
         
         // Track totals in memory (fast - no DB queries during generation)
         let totalSamplesGenerated = 0;
         let chunksGenerated = 0;
+        const generationStartTime = performance.now();
         
-        // ETA tracking (lightweight - rolling average of last 5 chunks)
-        const chunkTimes = [];
-        const MAX_TIME_SAMPLES = 5;
+        // Chunks left per chapter; a chapter is complete once all of its are
+        // stored, and only then replaces the chapter's old audio
+        const runStats = {};
+        const chunksLeft = {};
+        for (const chunk of chunks) {
+            chunksLeft[chunk.chapter] = (chunksLeft[chunk.chapter] || 0) + 1;
+        }
         
-        // Build preview in memory during generation (first 30 seconds only)
-        let previewAudio = new Float32Array(0);
-        const MAX_PREVIEW_SAMPLES = sampleRate * 30;
+        // 2. Process Chunks - stream directly to IndexedDB. One lane per pool
+        // worker takes the next batch in order; batches may finish out of order,
+        // but each chunk is stored under its own [chapter, chunk] key, so the
+        // audio order never depends on which worker was faster.
+        const batches = makeBatches(chunks, ssmlChunks ? 1 : batchSize);
+        const batchText = batches.length < chunks.length ? ` • batches of ${batchSize}` : '';
+        let nextBatch = 0;
+        let failure = null;
+        let playerShown = false;
         
-        // 2. Process Chunks - stream directly to IndexedDB
-        for (let i = 0; i < chunks.length; i++) {
-            if (state.isCancelled) {
-                console.log('Generation cancelled by user');
-                await AudioDB.clear();
-                break;
-            }
-            
-            // Start timing this chunk
-            const chunkStartTime = performance.now();
-            
-            // Calculate ETA from previous chunks
-            let etaText = '';
-            if (chunkTimes.length > 0) {
-                const avgTimePerChunk = chunkTimes.reduce((a, b) => a + b, 0) / chunkTimes.length;
-                const remainingChunks = chunks.length - i;
-                const etaSeconds = Math.round((avgTimePerChunk * remainingChunks) / 1000);
+        const runLane = async () => {
+            while (!state.isCancelled && !failure && nextBatch < batches.length) {
+                const batch = batches[nextBatch++];
+                const batchStartTime = performance.now();
                 
-                if (etaSeconds < 60) {
-                    etaText = ` • ETA: ${etaSeconds}s`;
-                } else if (etaSeconds < 3600) {
-                    const mins = Math.floor(etaSeconds / 60);
-                    const secs = etaSeconds % 60;
-                    etaText = ` • ETA: ${mins}m ${secs}s`;
-                } else {
-                    const hours = Math.floor(etaSeconds / 3600);
-                    const mins = Math.floor((etaSeconds % 3600) / 60);
-                    etaText = ` • ETA: ${hours}h ${mins}m`;
+                // Generate with settings; a batch of one keeps the single-chunk path
+                const options = {
+                    totalStep: inferenceSteps,
+                    speed,
+                    silenceDuration,
+                    timeout: CHUNK_TIMEOUT_SECONDS * 1000 * batch.length
+                };
+                const wavs = batch.length === 1
+                    ? [(await state.tts.synthesize(batch[0].text, { ...options, seed: batch[0].seed })).wav]
+                    : (await state.tts.synthesizeBatch(batch.map(chunk => chunk.text), { ...options, seeds: batch.map(chunk => chunk.seed) })).wavs;
+                if (state.isCancelled || failure) return;
+                
+                for (let b = 0; b < batch.length; b++) {
+                    const chunk = batch[b];
+                    
+                    // Ensure wav is a Float32Array, followed by the sentence/paragraph pause
+                    const wavArray = appendSilence(wavs[b], chunk.pause, sampleRate);
+                    
+                    // Save chunk to IndexedDB (fast, just a put operation)
+                    await AudioDB.saveChunk(chunk.id, wavArray, {
+                        chapter: chunk.chapter,
+                        text: chunk.text,
+                        seed: chunk.seed,
+                        pause: chunk.pause,
+                        settings: synthesisSettings
+                    }, { staged: true });
+                    state.player.markReady(chunk.id, wavArray.length);
+                    
+                    // Track totals in memory (instant, no DB query)
+                    totalSamplesGenerated += wavArray.length;
+                    chunksGenerated++;
+                    
+                    const stats = runStats[chunk.chapter] || (runStats[chunk.chapter] = { chunks: 0, samples: 0 });
+                    stats.chunks++;
+                    stats.samples += wavArray.length;
+                    if (--chunksLeft[chunk.chapter] === 0) {
+                        await AudioDB.commitChapter(chunk.chapter);
+                        chapterStats[chunk.chapter] = { ...stats, complete: true };
+                    }
                 }
+                await AudioDB.saveMeta('chapterStats', chapterStats);
+                
+                // Listening can start once this run's opening chunk is stored
+                if (!playerShown && state.player.bufferedAhead > 0) {
+                    playerShown = true;
+                    showPlayer();
+                }
+                updatePlayerProgress();
+                
+                // ETA from the overall rate, which counts all lanes
+                const elapsed = performance.now() - generationStartTime;
+                const etaSeconds = Math.round(elapsed / chunksGenerated * (chunks.length - chunksGenerated) / 1000);
+                const chapterTitle = chapters[batch[batch.length - 1].chapter]?.title;
+                const chapterText = selected.length > 1 && chapterTitle ? ` • ${chapterTitle}` : '';
+                updateProgress(chunksGenerated, chunks.length, `Generated ${chunksGenerated}/${chunks.length}${chapterText}${batchText} • ETA: ${formatEta(etaSeconds)}`);
+                
+                const totalDuration = totalSamplesGenerated / sampleRate;
+                console.log(`Batch of ${batch.length} saved (${chunksGenerated}/${chunks.length} chunks), total: ${totalDuration.toFixed(2)}s, batch took: ${((performance.now() - batchStartTime)/1000).toFixed(1)}s`);
+                
+                // Yield to allow garbage collection and UI updates
+                await yieldToUI();
             }
-            
-            const chunk = chunks[i];
-            updateProgress(i, chunks.length, `Generating ${i+1}/${chunks.length}${etaText}`);
-            
-            // Yield to let UI update before heavy processing
-            await yieldToUI();
-            
-            // Generate with settings
-            const { wav, duration } = await state.tts.call(
-                chunk,
-                state.currentStyle,
-                inferenceSteps,
-                speed,
-                silenceDuration
-            );
-            
-            // Track chunk time for ETA
-            const chunkTime = performance.now() - chunkStartTime;
-            chunkTimes.push(chunkTime);
-            if (chunkTimes.length > MAX_TIME_SAMPLES) {
-                chunkTimes.shift(); // Keep only last N samples
-            }
-            
-            // Ensure wav is a Float32Array
-            const wavArray = wav instanceof Float32Array ? wav : new Float32Array(wav);
-            
-            // Save chunk to IndexedDB (fast, just a put operation)
-            await AudioDB.saveChunk(i, wavArray);
-            
-            // Track totals in memory (instant, no DB query)
-            totalSamplesGenerated += wavArray.length;
-            chunksGenerated++;
-            
-            // Build preview audio in memory (only first 30 seconds)
-            if (previewAudio.length < MAX_PREVIEW_SAMPLES) {
-                const remainingSpace = MAX_PREVIEW_SAMPLES - previewAudio.length;
-                const samplesToAdd = Math.min(wavArray.length, remainingSpace);
-                const newPreview = new Float32Array(previewAudio.length + samplesToAdd);
-                newPreview.set(previewAudio);
-                newPreview.set(wavArray.slice(0, samplesToAdd), previewAudio.length);
-                previewAudio = newPreview;
+        };
+        
+        updateProgress(0, chunks.length, `Generating ${chunks.length} chunks on ${state.tts.size} worker${state.tts.size === 1 ? '' : 's'}${batchText}...`);
+        await Promise.all(Array.from({ length: state.tts.size }, () => runLane().catch(err => {
+            // First failure stops the other lanes; their AbortErrors are not news
+            if (!failure) {
+                failure = err;
+                state.tts.cancel();
             }
-            
-            const totalDuration = totalSamplesGenerated / sampleRate;
-            console.log(`Chunk ${i+1}/${chunks.length} saved, total: ${totalDuration.toFixed(2)}s, chunk took: ${(chunkTime/1000).toFixed(1)}s`);
-            
-            // Yield to allow garbage collection and UI updates
-            await yieldToUI();
-        }
+        })));
+        if (failure && !(failure.name === 'AbortError' && state.isCancelled)) throw failure;
         
-        if (!state.isCancelled) {
-            // Store totals in state (for download function)
-            state.totalChunks = chunksGenerated;
-            state.totalSamples = totalSamplesGenerated;
-            state.fullAudioDuration = totalSamplesGenerated / sampleRate;
+        if (state.isCancelled) {
+            console.log('Generation cancelled by user');
+            closePlayer();
+            await AudioDB.clearStaged();
+        } else {
+            // Store totals in state (for download function) - every stored chapter,
+            // not only the ones converted in this run
+            const totals = Object.values(chapterStats);
+            state.totalChunks = totals.reduce((sum, stats) => sum + stats.chunks, 0);
+            state.totalSamples = totals.reduce((sum, stats) => sum + stats.samples, 0);
+            state.fullAudioDuration = state.totalSamples / sampleRate;
             state.audioInIndexedDB = true;
             state.audioSampleRate = sampleRate;
-            
-            // Create preview for player from memory (no DB read needed)
-            if (previewAudio.length > 0) {
-                updateProgress(chunks.length, chunks.length, 'Preparing player...');
-                const previewWavBlob = float32ToWav(previewAudio, sampleRate);
-                const arrayBuffer = await previewWavBlob.arrayBuffer();
-                state.audioBuffer = await state.audioContext.decodeAudioData(arrayBuffer);
-            }
-            
-            // Show Player
-            showPlayer();
         }
         
     } catch (err) {
         console.error('Generation failed:', err);
         showError('Generation failed: ' + err.message);
-        await AudioDB.clear();
+        closePlayer();
+        await AudioDB.clearStaged();
     } finally {
+        releaseBackgroundLock();
         state.isGenerating = false;
+        if (state.player) {
+            state.player.finish();
+            showPlayer();
+        }
         updateGenerateBtn(false, 'Convert to Audiobook');
         if (el.progressContainer) el.progressContainer.classList.add('hidden');
+        renderChapterList();
     }
 }
 
-function chunkText(text, maxChars = 450) {
-    const sentences = text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || [text];
-    const chunks = [];
-    let current = '';
+// Chapters from the parsed book, or the whole text as a single chapter
+function getChapters() {
+    if (state.chapters.length > 0) return state.chapters;
+    return [{ index: 0, title: 'Full Text', level: 0, start: 0, end: state.text.length }];
+}
+
+function isChapterSelected(chapter) {
+    return state.chapters.length === 0 || state.selectedChapters.has(chapter.index);
+}
+
+// --- Chapter Selection ---
+async function renderChapterList() {
+    if (!el.chaptersContainer || !el.chapterList) return;
     
-    for (const s of sentences) {
-        if (current.length + s.length < maxChars) {
-            current += s;
-        } else {
-            if (current.trim()) chunks.push(current.trim());
-            current = s;
+    if (state.chapters.length === 0) {
+        el.chaptersContainer.classList.add('hidden');
+        el.chapterList.innerHTML = '';
+        return;
+    }
+    
+    // Mark chapters that already have audio stored for this book
+    let chapterStats = {};
+    try {
+        if (state.bookKey && await AudioDB.getMeta('bookKey') === state.bookKey) {
+            chapterStats = await AudioDB.getChapterStats();
+        }
+    } catch (err) {
+        console.warn('Could not read stored chapter audio:', err);
+    }
+    
+    el.chapterList.innerHTML = '';
+    for (const chapter of state.chapters) {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-3 py-2';
+        item.style.paddingLeft = `${chapter.level * 1.25}rem`;
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `chapter-${chapter.index}`;
+        checkbox.dataset.chapter = chapter.index;
+        checkbox.checked = state.selectedChapters.has(chapter.index);
+        checkbox.className = 'h-4 w-4 rounded border-slate-300 accent-brand-600';
+        
+        const label = document.createElement('label');
+        label.htmlFor = checkbox.id;
+        label.className = 'flex-grow truncate text-sm text-slate-700 cursor-pointer';
+        label.textContent = chapter.title;
+        
+        const meta = document.createElement('span');
+        meta.className = 'text-xs font-mono text-slate-400';
+        meta.textContent = `${(chapter.end - chapter.start).toLocaleString()} chars`;
+        
+        item.append(checkbox, label);
+        if (chapterStats[chapter.index]?.complete) {
+            const badge = document.createElement('span');
+            badge.className = 'text-xs font-medium text-brand-700 bg-brand-50 px-2 py-0.5 rounded-full';
+            badge.textContent = 'Converted';
+            item.append(badge);
         }
+        item.append(meta);
+        el.chapterList.append(item);
+    }
+    
+    el.chaptersContainer.classList.remove('hidden');
+    updateChapterSelectionCount();
+}
+
+function updateChapterSelectionCount() {
+    if (el.chaptersSelectedCount) el.chaptersSelectedCount.textContent = state.selectedChapters.size;
+    if (el.chaptersTotalCount) el.chaptersTotalCount.textContent = state.chapters.length;
+}
+
+function setAllChaptersSelected(selected) {
+    state.selectedChapters = new Set(selected ? state.chapters.map(chapter => chapter.index) : []);
+    if (el.chapterList) {
+        el.chapterList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = selected;
+        });
+    }
+    updateChapterSelectionCount();
+}
+
+// --- Pronunciation Lexicon ---
+async function loadLexicon(lexiconKey) {
+    state.lexiconKey = lexiconKey;
+    try {
+        const entries = await AudioDB.getLexicon(lexiconKey);
+        if (state.lexiconKey !== lexiconKey) return; // Another book was loaded meanwhile
+        state.lexicon = entries;
+    } catch (err) {
+        console.warn('Could not load lexicon:', err);
+        state.lexicon = [];
+    }
+    if (state.tts) state.tts.setLexicon(state.lexicon);
+    renderLexicon();
+}
+
+async function updateLexicon(entries) {
+    state.lexicon = entries;
+    if (state.tts) state.tts.setLexicon(entries);
+    state.preflightAccepted = false;
+    renderLexicon();
+    try {
+        await AudioDB.saveLexicon(state.lexiconKey, entries);
+    } catch (err) {
+        showError('Could not save lexicon: ' + err.message);
+    }
+}
+
+function renderLexicon() {
+    if (el.lexiconCount) el.lexiconCount.textContent = state.lexicon.length;
+    if (!el.lexiconList) return;
+    
+    el.lexiconList.innerHTML = '';
+    state.lexicon.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-3 py-2 text-sm';
+        
+        const word = document.createElement('span');
+        word.className = 'font-medium text-slate-900 truncate';
+        word.textContent = entry.word;
+        
+        const respelling = document.createElement('span');
+        respelling.className = 'flex-grow text-slate-600 truncate';
+        respelling.textContent = `→ ${entry.respelling}`;
+        
+        const options = document.createElement('span');
+        options.className = 'text-xs font-mono text-slate-400';
+        options.textContent = [entry.caseSensitive && 'Aa', entry.wholeWord && 'word'].filter(Boolean).join(' ');
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.lexiconIndex = index;
+        remove.className = 'px-2 text-slate-400 hover:text-red-500';
+        remove.title = 'Remove';
+        remove.textContent = '×';
+        
+        item.append(word, respelling, options, remove);
+        el.lexiconList.append(item);
+    });
+}
+
+function addLexiconEntry(event) {
+    event.preventDefault();
+    try {
+        const entry = normalizeEntry({
+            word: el.lexiconWord.value,
+            respelling: el.lexiconRespelling.value,
+            caseSensitive: el.lexiconCaseSensitive.checked,
+            wholeWord: el.lexiconWholeWord.checked
+        });
+        updateLexicon(mergeLexicons(state.lexicon, [entry]));
+        el.lexiconWord.value = '';
+        el.lexiconRespelling.value = '';
+        el.lexiconWord.focus();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+async function importLexicon(file) {
+    try {
+        const imported = parseLexiconJSON(await file.text());
+        await updateLexicon(mergeLexicons(state.lexicon, imported));
+        console.log(`Imported ${imported.length} lexicon entries`);
+    } catch (err) {
+        showError('Lexicon import failed: ' + err.message);
     }
-    if (current.trim()) chunks.push(current.trim());
-    return chunks;
+}
+
+function exportLexicon() {
+    const name = state.bookMetadata?.title ? sanitizeFilename(state.bookMetadata.title) : 'lexicon';
+    triggerDownload(new Blob([lexiconToJSON(state.lexicon)], { type: 'application/json' }), `${name}.lexicon.json`);
+}
+
+// --- Pre-flight Check ---
+function resetPreflight() {
+    state.preflightReport = null;
+    state.preflightAccepted = false;
+    if (el.preflightContainer) el.preflightContainer.classList.add('hidden');
+}
+
+// Scan the whole book, as the model will see it, for characters it has no index for
+async function runPreflight() {
+    // SSML markup never reaches the model, only its text does
+    const text = isSSML(state.text)
+        ? parseSSML(state.text).filter(segment => segment.type === 'text').map(segment => segment.text).join('\n')
+        : state.text;
+    
+    const startTime = performance.now();
+    const report = await scanUnsupportedCharacters(text, state.tts.textProcessor, { yieldFn: yieldToUI });
+    console.log(`Pre-flight check: ${report.length} unsupported characters (${((performance.now() - startTime) / 1000).toFixed(2)}s)`);
+    
+    state.preflightReport = report;
+    renderPreflight();
+    return report;
+}
+
+function chapterTitleAt(offset) {
+    const chapter = state.chapters.find(chapter => offset >= chapter.start && offset < chapter.end);
+    return chapter ? chapter.title : null;
+}
+
+function renderPreflight() {
+    const report = state.preflightReport || [];
+    if (!el.preflightContainer || !el.preflightList) return;
+    
+    el.preflightContainer.classList.toggle('hidden', report.length === 0);
+    const total = report.reduce((sum, entry) => sum + entry.count, 0);
+    if (el.preflightSummary) {
+        el.preflightSummary.textContent = `${report.length} different characters, ${total.toLocaleString()} occurrences. ` +
+            'The model skips them; replace them with something it can say.';
+    }
+    
+    el.preflightList.innerHTML = '';
+    report.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'py-3 space-y-2';
+        
+        const row = document.createElement('div');
+        row.className = 'flex items-center gap-3 text-sm';
+        
+        const char = document.createElement('span');
+        char.className = 'w-8 text-center text-lg font-serif text-slate-900';
+        char.textContent = entry.char;
+        
+        const info = document.createElement('span');
+        info.className = 'flex-grow text-xs font-mono text-slate-400';
+        info.textContent = `${entry.codePoint} × ${entry.count.toLocaleString()}`;
+        
+        const replacement = document.createElement('input');
+        replacement.type = 'text';
+        replacement.value = entry.suggestion;
+        replacement.dataset.preflightInput = index;
+        replacement.className = 'w-32 rounded-md border-0 py-1 px-2 text-sm text-slate-900 ring-1 ring-inset ring-slate-300 focus:ring-2 focus:ring-brand-600';
+        replacement.title = 'Say instead (a space removes it)';
+        
+        const replace = document.createElement('button');
+        replace.type = 'button';
+        replace.dataset.preflightIndex = index;
+        replace.className = 'px-2 py-1 text-xs font-medium text-slate-600 hover:text-brand-600 hover:bg-brand-50 rounded-lg';
+        replace.textContent = 'Replace';
+        
+        row.append(char, info, replacement, replace);
+        
+        const samples = document.createElement('ul');
+        samples.className = 'pl-11 space-y-1 text-xs text-slate-500';
+        for (const sample of entry.samples) {
+            const line = document.createElement('li');
+            line.className = 'truncate';
+            const chapterTitle = chapterTitleAt(sample.offset);
+            const match = document.createElement('mark');
+            match.className = 'bg-amber-100 text-slate-900 rounded px-0.5';
+            match.textContent = sample.match;
+            line.append((chapterTitle ? `${chapterTitle}: ` : '') + sample.before, match, sample.after);
+            samples.append(line);
+        }
+        
+        item.append(row, samples);
+        el.preflightList.append(item);
+    });
+}
+
+// Replacement rules are lexicon entries matching the bare character anywhere
+function preflightRule(entry, respelling) {
+    return normalizeEntry({ word: entry.char, respelling, caseSensitive: true, wholeWord: false });
+}
+
+async function applyPreflightRules(rules) {
+    try {
+        await updateLexicon(mergeLexicons(state.lexicon, rules));
+        if (state.tts) await runPreflight();
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+// Paragraphs (and headings) are separated by blank lines in extracted text
+function splitParagraphs(text) {
+    return text.split(/\n\s*\n+/).map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Group chunks into batches of up to `batchSize` of similar length, since
+ * every batch item is padded to the longest. Chunks are only sorted within
+ * a window of the next few batches, so conversion still runs roughly in
+ * reading order and chapters complete one after another.
+ */
+function makeBatches(chunks, batchSize) {
+    if (batchSize <= 1) return chunks.map(chunk => [chunk]);
+    
+    const windowSize = batchSize * BATCH_WINDOW;
+    const batches = [];
+    for (let start = 0; start < chunks.length; start += windowSize) {
+        const group = chunks.slice(start, start + windowSize)
+            .sort((a, b) => a.text.length - b.text.length);
+        for (let i = 0; i < group.length; i += batchSize) {
+            batches.push(group.slice(i, i + batchSize));
+        }
+    }
+    return batches;
+}
+
+function appendSilence(wav, seconds, sampleRate) {
+    const silenceLen = Math.max(0, Math.floor(seconds * sampleRate));
+    const out = new Float32Array(wav.length + silenceLen);
+    out.set(wav);
+    return out;
 }
 
 // concatenateAudioBuffers removed - now using progressive Float32Array combination
@@ -809,17 +1483,18 @@ function updateProgress(current, total, status) {
 // --- Player ---
 function showPlayer() {
     if (el.playerContainer) el.playerContainer.classList.remove('hidden');
-    // Use full audio duration if available, otherwise preview duration
-    const duration = state.fullAudioDuration || state.audioBuffer.duration;
-    if (el.timeTotal) el.timeTotal.textContent = formatTime(duration);
+    const duration = state.isGenerating ? state.player.estimatedDuration : state.fullAudioDuration;
     
     // Update download button text based on duration
     if (el.downloadBtn) {
+        el.downloadBtn.disabled = state.isGenerating;
         const minutes = Math.floor(duration / 60);
         const seconds = Math.floor(duration % 60);
         const durationStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
         
-        if (state.audioInIndexedDB) {
+        if (state.isGenerating) {
+            el.downloadBtn.title = 'Available once the conversion is done';
+        } else if (state.audioInIndexedDB) {
             el.downloadBtn.textContent = `Download Full Audio (${durationStr})`;
             el.downloadBtn.title = 'Audio will be combined from storage on download';
         } else {
@@ -827,88 +1502,81 @@ function showPlayer() {
         }
     }
     
-    // Show note if playing preview only
-    if (state.audioInIndexedDB && state.audioBuffer) {
-        const previewDuration = state.audioBuffer.duration;
-        if (previewDuration < duration) {
-            console.log(`Playing preview (${previewDuration.toFixed(1)}s) of full audio (${duration.toFixed(1)}s)`);
-        }
-    }
-    
-    drawVisualizer();
+    updatePlayerProgress();
+    updatePlayerUI();
 }
 
-function playAudio() {
-    if (state.isPlaying) {
-        pauseAudio();
-        return;
+// Stop and drop the player, e.g. when the audio it plays is discarded
+function closePlayer() {
+    if (state.player) {
+        state.player.destroy();
+        state.player = null;
     }
-    
-    if (state.audioContext.state === 'suspended') {
-        state.audioContext.resume();
-    }
-    
-    state.sourceNode = state.audioContext.createBufferSource();
-    state.sourceNode.buffer = state.audioBuffer;
-    
-    state.analyser = state.audioContext.createAnalyser();
-    state.analyser.fftSize = 256;
-    
-    state.sourceNode.connect(state.analyser);
-    state.analyser.connect(state.audioContext.destination);
-    
-    state.startTime = state.audioContext.currentTime - state.pausedTime;
-    state.sourceNode.start(0, state.pausedTime);
-    state.isPlaying = true;
-    
-    state.sourceNode.onended = () => {
-        if (state.isPlaying) { // Natural end
-            state.isPlaying = false;
-            state.pausedTime = 0;
-            updatePlayerUI();
-        }
-    };
-    
-    updatePlayerUI();
-    requestAnimationFrame(updatePlayerLoop);
+    if (el.playerContainer) el.playerContainer.classList.add('hidden');
 }
 
-function pauseAudio() {
-    if (state.sourceNode) {
-        state.sourceNode.stop();
-        state.pausedTime = state.audioContext.currentTime - state.startTime;
-        state.sourceNode = null;
+function playAudio() {
+    const player = state.player;
+    if (!player) return;
+    if (player.isPlaying || player.stalled) {
+        player.pause();
+    } else {
+        player.play();
     }
-    state.isPlaying = false;
-    updatePlayerUI();
 }
 
 function stopAudio() {
-    if (state.sourceNode) {
-        state.sourceNode.stop();
-        state.sourceNode = null;
-    }
-    state.isPlaying = false;
-    state.pausedTime = 0;
-    updatePlayerUI();
-    if (el.timelineProgress) el.timelineProgress.style.width = '0%';
-    if (el.timeCurrent) el.timeCurrent.textContent = '0:00';
+    if (state.player) state.player.stop();
+    updatePlayerProgress();
 }
 
-function updatePlayerLoop() {
-    if (!state.isPlaying) return;
-    
-    const current = state.audioContext.currentTime - state.startTime;
-    const percent = (current / state.audioBuffer.duration) * 100;
+// Timeline, times and buffer health. While chunks are still being stored
+// the total is estimated from the average chunk so far.
+function updatePlayerProgress() {
+    const player = state.player;
+    if (!player) return;
+    
+    const current = player.currentTime;
+    const generating = !player.finished;
+    const total = generating ? player.estimatedDuration : state.fullAudioDuration;
+    const percent = total > 0 ? (current / total) * 100 : 0;
+    const bufferedPercent = total > 0 ? (player.duration / total) * 100 : 0;
     
     if (el.timelineProgress) el.timelineProgress.style.width = `${Math.min(percent, 100)}%`;
+    if (el.timelineBuffered) el.timelineBuffered.style.width = `${Math.min(bufferedPercent, 100)}%`;
     if (el.timeCurrent) el.timeCurrent.textContent = formatTime(current);
+    if (el.timeTotal) el.timeTotal.textContent = (generating ? '~' : '') + formatTime(total);
+    
+    if (el.bufferHealth) {
+        el.bufferHealth.classList.toggle('hidden', !generating);
+        el.bufferHealth.classList.toggle('text-amber-500', player.stalled);
+        el.bufferHealth.textContent = player.stalled
+            ? 'Buffering...'
+            : `${Math.floor(player.bufferedAhead)}s buffered`;
+    }
+}
+
+// Jump to the clicked point of the timeline
+function seekFromTimeline(e) {
+    const player = state.player;
+    if (!player) return;
+    const rect = el.timeline.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const total = player.finished ? state.fullAudioDuration : player.estimatedDuration;
+    player.seek(fraction * total);
+    updatePlayerProgress();
+}
+
+function updatePlayerLoop() {
+    const player = state.player;
+    if (!player || !(player.isPlaying || player.stalled)) {
+        state.animationFrame = null;
+        return;
+    }
     
+    updatePlayerProgress();
     drawVisualizer();
-    
-    if (current < state.audioBuffer.duration) {
-        requestAnimationFrame(updatePlayerLoop);
-    }
+    state.animationFrame = requestAnimationFrame(updatePlayerLoop);
 }
 
 function drawVisualizer() {
@@ -921,7 +1589,8 @@ function drawVisualizer() {
     
     ctx.clearRect(0, 0, width, height);
     
-    if (!state.analyser) {
+    const analyser = state.player?.isPlaying ? state.player.analyser : null;
+    if (!analyser) {
         // Draw idle line
         ctx.beginPath();
         ctx.moveTo(0, height / 2);
@@ -932,9 +1601,9 @@ function drawVisualizer() {
         return;
     }
     
-    const bufferLength = state.analyser.frequencyBinCount;
+    const bufferLength = analyser.frequencyBinCount;
     const dataArray = new Uint8Array(bufferLength);
-    state.analyser.getByteFrequencyData(dataArray);
+    analyser.getByteFrequencyData(dataArray);
     
     const barWidth = (width / bufferLength) * 2.5;
     let barHeight;
@@ -955,11 +1624,20 @@ function drawVisualizer() {
 }
 
 function updatePlayerUI() {
+    const player = state.player;
+    if (player && (player.isPlaying || player.stalled) && !state.animationFrame) {
+        state.animationFrame = requestAnimationFrame(updatePlayerLoop);
+    }
+    if (player && !player.isPlaying) {
+        updatePlayerProgress();
+        drawVisualizer();
+    }
     if (!el.playPauseBtn) return;
     
     const icon = el.playPauseBtn.querySelector('i');
     if (icon) {
-        if (state.isPlaying) {
+        // A stalled player counts as playing: it resumes by itself
+        if (player && (player.isPlaying || player.stalled)) {
             icon.setAttribute('data-lucide', 'pause');
             icon.classList.remove('ml-1');
         } else {
@@ -991,34 +1669,37 @@ async function downloadAudio() {
         updateProgress(0, totalChunks, `Combining ${totalChunks} chunks...`);
         
         try {
-            // Pass totalChunks and totalSamples so it doesn't have to scan the DB
-            const blob = await AudioDB.combineAndExport(
-                sampleRate,
-                (current, total) => {
-                    const percent = Math.round((current / total) * 100);
-                    updateProgress(current, total, `Combining: ${percent}%`);
-                },
-                totalChunks,
-                state.totalSamples
-            );
+            const onProgress = (current, total) => {
+                const percent = Math.round((current / total) * 100);
+                updateProgress(current, total, `Combining: ${percent}%`);
+            };
+            
+            const format = state.settings.exportFormat in EXPORT_FORMATS ? state.settings.exportFormat : 'wav';
+            const perChapter = state.settings.exportMode === 'chapters';
+            const extension = perChapter ? 'zip' : EXPORT_FORMATS[format].extension;
+            const filename = `audiobook_${Date.now()}.${extension}`;
+            
+            // Single WAVs stream straight to disk where the browser allows it,
+            // instead of being assembled into one huge Blob
+            let fileSink = null;
+            if (format === 'wav' && !perChapter && canWriteToDisk()) {
+                fileSink = await pickFileSink(filename, { description: 'WAV audio', mimeType: 'audio/wav', extension });
+                if (!fileSink) return; // Save dialog cancelled
+                updateProgress(0, totalChunks, 'Writing to disk...');
+            }
+            
+            const chapters = (await AudioDB.getMeta('chapters')) || getChapters();
+            const blob = perChapter
+                ? await exportChapterZip(format, chapters, sampleRate, onProgress)
+                : await exportTrack(format, await AudioDB.getChunkKeys(), chapters, sampleRate, onProgress, null, fileSink);
             
-            if (blob) {
+            if (blob && fileSink) {
+                updateProgress(totalChunks, totalChunks, `Saved ${blob.name}`);
+            } else if (blob) {
                 updateProgress(totalChunks, totalChunks, 'Starting download...');
                 
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `audiobook_${Date.now()}.wav`;
-                a.click();
-                
-                // Clean up
-                setTimeout(() => URL.revokeObjectURL(url), 1000);
-                
-                // Clear IndexedDB after successful download
-                await AudioDB.clear();
-                state.audioInIndexedDB = false;
-                state.totalChunks = 0;
-                state.totalSamples = 0;
+                // Stored chunks are kept so single chapters can be re-rendered
+                triggerDownload(blob, filename);
                 
                 updateProgress(totalChunks, totalChunks, 'Download complete!');
             }
@@ -1032,20 +1713,135 @@ async function downloadAudio() {
     }
     
     // Fallback: Use pre-generated full audio blob if available
-    const blob = state.fullAudioBlob || (() => {
-        if (!state.audioBuffer) return null;
-        const channelData = state.audioBuffer.getChannelData(0);
-        return float32ToWav(channelData, state.audioBuffer.sampleRate);
-    })();
-    
+    const blob = state.fullAudioBlob;
     if (!blob) return;
     
+    triggerDownload(blob, 'lumina-audiobook.wav');
+}
+
+function triggerDownload(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'lumina-audiobook.wav';
+    a.download = filename;
     a.click();
-    URL.revokeObjectURL(url);
+    
+    // Clean up
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Export Formats ---
+// Encode the chunks behind `keys` into one file of the given format.
+// A WAV can be written to `sink` (see export-sink.js) instead of memory.
+async function exportTrack(format, keys, chapters, sampleRate, onProgress, trackTitle = null, sink = null) {
+    if (keys.length === 0) return null;
+    
+    const metadata = state.bookMetadata || {};
+    
+    switch (format) {
+        case 'mp3':
+            return await encodeMP3(readPcmChunks(keys, chapters, onProgress), {
+                sampleRate,
+                bitrate: state.settings.mp3Bitrate,
+                vbrQuality: state.settings.mp3Mode === 'vbr' ? state.settings.mp3VbrQuality : null,
+                channels: state.settings.mp3Channels
+            });
+        case 'm4b':
+            return await encodeM4B(readPcmChunks(keys, chapters, onProgress), {
+                sampleRate,
+                title: trackTitle || metadata.title,
+                author: metadata.author,
+                cover: metadata.cover
+            });
+        case 'opus':
+            return await encodeOggOpus(readPcmChunks(keys, chapters, onProgress), {
+                sampleRate,
+                bitrate: state.settings.opusBitrate,
+                title: trackTitle || metadata.title,
+                author: metadata.author,
+                album: trackTitle ? metadata.title : null,
+                markers: trackTitle ? [] : await getChapterMarkers(keys, chapters),
+                cover: metadata.cover
+            });
+        case 'flac':
+            return await encodeFLAC(readPcmChunks(keys, chapters, onProgress), {
+                sampleRate,
+                title: trackTitle || metadata.title,
+                author: metadata.author,
+                album: trackTitle ? metadata.title : null,
+                markers: trackTitle ? [] : await getChapterMarkers(keys, chapters),
+                cover: metadata.cover
+            });
+        default:
+            return await AudioDB.combineAndExport(sampleRate, onProgress, keys, sink || undefined);
+    }
+}
+
+// Chapter start offsets (in samples) within the track made from `keys`.
+// Encoders that write tags before the audio need these up front.
+async function getChapterMarkers(keys, chapters) {
+    const chapterStats = await AudioDB.getChapterStats();
+    const markers = [];
+    let start = 0;
+    let current = null;
+    
+    for (const [chapterIndex] of keys) {
+        if (chapterIndex === current) continue;
+        current = chapterIndex;
+        markers.push({ title: chapters[chapterIndex]?.title || `Chapter ${markers.length + 1}`, start });
+        start += chapterStats[chapterIndex]?.samples || 0;
+    }
+    return markers;
+}
+
+// --- Per-Chapter Export ---
+// One track per stored chapter, named "NN - Chapter Title.ext", zipped
+// together with an .m3u8 playlist in reading order.
+async function exportChapterZip(format, chapters, sampleRate, onProgress) {
+    const chapterStats = await AudioDB.getChapterStats();
+    
+    // Only chapters that actually have audio stored
+    const tracks = [];
+    for (const chapter of chapters) {
+        const keys = await AudioDB.getChapterKeys(chapter.index);
+        if (keys.length > 0) tracks.push({ chapter, keys });
+    }
+    if (tracks.length === 0) return null;
+    
+    const JSZip = await loadJSZip();
+    const zip = new JSZip();
+    const totalKeys = tracks.reduce((sum, track) => sum + track.keys.length, 0);
+    const digits = Math.max(2, String(tracks.length).length);
+    const playlist = ['#EXTM3U'];
+    let done = 0;
+    
+    for (let i = 0; i < tracks.length; i++) {
+        const { chapter, keys } = tracks[i];
+        const title = chapter.title || `Chapter ${i + 1}`;
+        const blob = await exportTrack(format, keys, chapters, sampleRate, (current) => {
+            if (onProgress) onProgress(done + current, totalKeys);
+        }, title);
+        done += keys.length;
+        
+        const filename = `${String(i + 1).padStart(digits, '0')} - ${sanitizeFilename(title)}.${EXPORT_FORMATS[format].extension}`;
+        const seconds = Math.round((chapterStats[chapter.index]?.samples || 0) / sampleRate);
+        
+        zip.file(filename, blob);
+        playlist.push(`#EXTINF:${seconds},${title.replace(/[\r\n]+/g, ' ')}`, filename);
+    }
+    
+    zip.file('playlist.m3u8', playlist.join('\n') + '\n');
+    
+    // Audio does not deflate well - store it as is
+    return await zip.generateAsync({ type: 'blob', compression: 'STORE' });
+}
+
+function sanitizeFilename(name) {
+    const cleaned = name
+        .replace(/[\\/:*?"<>|\u0000-\u001F]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '');
+    return cleaned.slice(0, 80).trim() || 'Untitled';
 }
 
 // --- UI Helpers ---
@@ -1080,6 +1876,12 @@ function showError(msg) {
     }
 }
 
+function formatEta(etaSeconds) {
+    if (etaSeconds < 60) return `${etaSeconds}s`;
+    if (etaSeconds < 3600) return `${Math.floor(etaSeconds / 60)}m ${etaSeconds % 60}s`;
+    return `${Math.floor(etaSeconds / 3600)}h ${Math.floor((etaSeconds % 3600) / 60)}m`;
+}
+
 function formatTime(seconds) {
     const m = Math.floor(seconds / 60);
     const s = Math.floor(seconds % 60);
@@ -1135,6 +1937,15 @@ function setupEventListeners() {
     if (el.textInput) {
         el.textInput.addEventListener('input', (e) => {
             state.text = e.target.value;
+            if (state.chapters.length > 0) {
+                // Offsets no longer match the edited text
+                console.log('Text edited, discarding chapter boundaries');
+                state.chapters = [];
+                state.selectedChapters = new Set();
+                renderChapterList();
+            }
+            state.bookKey = null;
+            resetPreflight();
             if (el.charCount) el.charCount.textContent = state.text.length.toLocaleString();
             updateGenerateBtn(!state.text.trim());
         });
@@ -1144,11 +1955,96 @@ function setupEventListeners() {
         el.clearTextBtn.addEventListener('click', clearText);
     }
 
+    // Chapter selection
+    if (el.chapterList) {
+        el.chapterList.addEventListener('change', (e) => {
+            const index = parseInt(e.target.dataset.chapter);
+            if (isNaN(index)) return;
+            if (e.target.checked) {
+                state.selectedChapters.add(index);
+            } else {
+                state.selectedChapters.delete(index);
+            }
+            updateChapterSelectionCount();
+        });
+    }
+    
+    if (el.selectAllChaptersBtn) {
+        el.selectAllChaptersBtn.addEventListener('click', () => setAllChaptersSelected(true));
+    }
+    
+    if (el.selectNoChaptersBtn) {
+        el.selectNoChaptersBtn.addEventListener('click', () => setAllChaptersSelected(false));
+    }
+    
+    // Pronunciation lexicon
+    if (el.lexiconForm) {
+        el.lexiconForm.addEventListener('submit', addLexiconEntry);
+    }
+    
+    if (el.lexiconList) {
+        el.lexiconList.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.lexiconIndex);
+            if (isNaN(index)) return;
+            updateLexicon(state.lexicon.filter((_, i) => i !== index));
+        });
+    }
+    
+    if (el.lexiconImportBtn && el.lexiconImportInput) {
+        el.lexiconImportBtn.addEventListener('click', () => el.lexiconImportInput.click());
+        el.lexiconImportInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) importLexicon(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+    
+    if (el.lexiconExportBtn) {
+        el.lexiconExportBtn.addEventListener('click', exportLexicon);
+    }
+    
+    // Pre-flight report
+    if (el.preflightList) {
+        el.preflightList.addEventListener('click', (e) => {
+            const index = parseInt(e.target.dataset.preflightIndex);
+            const entry = state.preflightReport?.[index];
+            if (!entry) return;
+            const input = el.preflightList.querySelector(`[data-preflight-input="${index}"]`);
+            try {
+                applyPreflightRules([preflightRule(entry, input ? input.value : entry.suggestion)]);
+            } catch (err) {
+                showError(err.message);
+            }
+        });
+    }
+    
+    if (el.preflightReplaceAllBtn) {
+        el.preflightReplaceAllBtn.addEventListener('click', () => {
+            try {
+                const rules = (state.preflightReport || []).map((entry, index) => {
+                    const input = el.preflightList?.querySelector(`[data-preflight-input="${index}"]`);
+                    return preflightRule(entry, input ? input.value : entry.suggestion);
+                });
+                applyPreflightRules(rules);
+            } catch (err) {
+                showError(err.message);
+            }
+        });
+    }
+    
+    if (el.preflightIgnoreBtn) {
+        el.preflightIgnoreBtn.addEventListener('click', () => {
+            state.preflightAccepted = true;
+            if (el.preflightContainer) el.preflightContainer.classList.add('hidden');
+            startGeneration();
+        });
+    }
+
     if (el.generateBtn) {
         el.generateBtn.addEventListener('click', () => {
             if (state.isGenerating) {
                 // Cancel if currently generating
                 state.isCancelled = true;
+                state.tts.cancel(); // Stops the current chunk too
                 updateGenerateBtn(true, 'Cancelling...');
             } else {
                 startGeneration();
@@ -1164,6 +2060,10 @@ function setupEventListeners() {
         el.stopBtn.addEventListener('click', stopAudio);
     }
     
+    if (el.timeline) {
+        el.timeline.addEventListener('click', seekFromTimeline);
+    }
+    
     if (el.resetBtn) {
         el.resetBtn.addEventListener('click', () => {
             stopAudio();
@@ -1198,6 +2098,11 @@ function setupEventListeners() {
     if (el.executionProviderSelect) {
         el.executionProviderSelect.addEventListener('change', toggleThreadsInput);
     }
+    
+    if (el.exportFormatSelect) {
+        el.exportFormatSelect.addEventListener('change', toggleFormatOptions);
+        el.mp3ModeSelect?.addEventListener('change', toggleFormatOptions);
+    }
 
     // Settings sliders real-time update
     if (el.inferenceSteps) {
@@ -0,0 +1,212 @@
+// ============================================
+// Inference Micro-benchmark - CPU time per chunk spent in JavaScript around
+// the models: text indexing, noise sampling, tensor marshalling between
+// denoising steps and joining the audio. The ONNX sessions are replaced by
+// stubs that answer instantly with correctly shaped outputs, so the numbers
+// show only our own code. Compares the current typed-array pipeline with a
+// copy of the nested-array one it replaced.
+// Open /benchmark.html from the dev server (python server.py).
+// ============================================
+
+import { TextToSpeech, loadTextProcessor, loadVoiceStyle, loadCfgs } from './helper.js';
+
+const ort = window.ort;
+
+const ONNX_PATH = './assets/onnx';
+const VOICE_STYLE = './assets/voice_styles/M1.json';
+const TEXT_EMB_DIM = 256;
+const SPOKEN_SECONDS_PER_CHAR = 0.07;
+
+const SAMPLE_TEXT = 'It was a bright cold day in April, and the clocks were striking thirteen. ' +
+    'Winston Smith, his chin nuzzled into his breast in an effort to escape the vile wind, ' +
+    'slipped quickly through the glass doors of Victory Mansions, though not quickly enough ' +
+    'to prevent a swirl of gritty dust from entering along with him.';
+
+// --- Stub sessions: fresh output buffers like onnxruntime, no compute ---
+function stubSessions(cfgs) {
+    const chunkSize = cfgs.ae.base_chunk_size * cfgs.ttl.chunk_compress_factor;
+    return {
+        dp: {
+            async run({ text_ids }) {
+                const [bsz, textLen] = text_ids.dims;
+                const duration = new Float32Array(bsz).fill(textLen * SPOKEN_SECONDS_PER_CHAR);
+                return { duration: new ort.Tensor('float32', duration, [bsz]) };
+            }
+        },
+        textEnc: {
+            async run({ text_ids }) {
+                const [bsz, textLen] = text_ids.dims;
+                const dims = [bsz, TEXT_EMB_DIM, textLen];
+                return { text_emb: new ort.Tensor('float32', new Float32Array(bsz * TEXT_EMB_DIM * textLen), dims) };
+            }
+        },
+        vectorEst: {
+            async run({ noisy_latent }) {
+                const denoised = new Float32Array(noisy_latent.data);
+                return { denoised_latent: new ort.Tensor('float32', denoised, noisy_latent.dims) };
+            }
+        },
+        vocoder: {
+            async run({ latent }) {
+                const [bsz, , latentLen] = latent.dims;
+                const wav = new Float32Array(bsz * latentLen * chunkSize);
+                return { wav_tts: new ort.Tensor('float32', wav, [bsz, latentLen * chunkSize]) };
+            }
+        }
+    };
+}
+
+// --- Previous implementation (nested arrays), kept only for comparison ---
+function legacyLengthToMask(lengths, maxLen) {
+    return lengths.map(len => {
+        const row = new Array(maxLen).fill(0.0);
+        for (let j = 0; j < Math.min(len, maxLen); j++) row[j] = 1.0;
+        return [row];
+    });
+}
+
+function legacySampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    const bsz = duration.length;
+    const wavLenMax = Math.floor(Math.max(...duration) * sampleRate);
+    const wavLengths = duration.map(d => Math.floor(d * sampleRate));
+    const chunkSize = baseChunkSize * chunkCompress;
+    const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
+    const latentDimVal = latentDim * chunkCompress;
+
+    const xt = [];
+    for (let b = 0; b < bsz; b++) {
+        const batch = [];
+        for (let d = 0; d < latentDimVal; d++) {
+            const row = [];
+            for (let t = 0; t < latentLen; t++) {
+                const u1 = Math.max(0.0001, Math.random());
+                const u2 = Math.random();
+                row.push(Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2));
+            }
+            batch.push(row);
+        }
+        xt.push(batch);
+    }
+
+    const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
+    const latentMask = legacyLengthToMask(latentLengths, latentLen);
+    for (let b = 0; b < bsz; b++) {
+        for (let d = 0; d < latentDimVal; d++) {
+            for (let t = 0; t < latentLen; t++) xt[b][d][t] *= latentMask[b][0][t];
+        }
+    }
+    return { xt, latentMask };
+}
+
+async function legacyInfer(tts, textList, style, totalStep, speed) {
+    const bsz = textList.length;
+    const { textProcessor, cfgs } = tts;
+
+    const processed = textList.map(text => textProcessor.preprocessText(text));
+    const lengths = processed.map(text => text.length);
+    const maxLen = Math.max(...lengths);
+    const textIds = processed.map(text => {
+        const row = new Array(maxLen).fill(0);
+        for (let j = 0; j < text.length; j++) {
+            const codePoint = text.codePointAt(j);
+            row[j] = codePoint < textProcessor.indexer.length ? textProcessor.indexer[codePoint] : -1;
+        }
+        return row;
+    });
+    const textMask = legacyLengthToMask(lengths, maxLen);
+
+    const textIdsTensor = new ort.Tensor('int64', new BigInt64Array(textIds.flat().map(x => BigInt(x))), [bsz, maxLen]);
+    const textMaskTensor = new ort.Tensor('float32', new Float32Array(textMask.flat(2)), [bsz, 1, maxLen]);
+
+    const dpOutputs = await tts.dpOrt.run({ text_ids: textIdsTensor, style_dp: style.dp, text_mask: textMaskTensor });
+    const duration = Array.from(dpOutputs.duration.data).map(d => d / speed);
+    const { text_emb: textEmb } = await tts.textEncOrt.run({ text_ids: textIdsTensor, style_ttl: style.ttl, text_mask: textMaskTensor });
+
+    let { xt, latentMask } = legacySampleNoisyLatent(duration, tts.sampleRate, cfgs.ae.base_chunk_size, cfgs.ttl.chunk_compress_factor, cfgs.ttl.latent_dim);
+    const latentMaskTensor = new ort.Tensor('float32', new Float32Array(latentMask.flat(2)), [bsz, 1, latentMask[0][0].length]);
+    const totalStepTensor = new ort.Tensor('float32', new Float32Array(bsz).fill(totalStep), [bsz]);
+
+    for (let step = 0; step < totalStep; step++) {
+        const currentStepTensor = new ort.Tensor('float32', new Float32Array(bsz).fill(step), [bsz]);
+        const xtTensor = new ort.Tensor('float32', new Float32Array(xt.flat(2)), [bsz, xt[0].length, xt[0][0].length]);
+        const outputs = await tts.vectorEstOrt.run({
+            noisy_latent: xtTensor, text_emb: textEmb, style_ttl: style.ttl, latent_mask: latentMaskTensor,
+            text_mask: textMaskTensor, current_step: currentStepTensor, total_step: totalStepTensor
+        });
+        const denoised = Array.from(outputs.denoised_latent.data);
+        const latentDim = xt[0].length;
+        const latentLen = xt[0][0].length;
+        xt = [];
+        let idx = 0;
+        for (let b = 0; b < bsz; b++) {
+            const batch = [];
+            for (let d = 0; d < latentDim; d++) {
+                const row = [];
+                for (let t = 0; t < latentLen; t++) row.push(denoised[idx++]);
+                batch.push(row);
+            }
+            xt.push(batch);
+        }
+    }
+
+    const finalXt = new ort.Tensor('float32', new Float32Array(xt.flat(2)), [bsz, xt[0].length, xt[0][0].length]);
+    const vocoderOutputs = await tts.vocoderOrt.run({ latent: finalXt });
+    return { wav: Array.from(vocoderOutputs.wav_tts.data), duration };
+}
+
+// One chunk through the old call(): per-sentence inference joined with silence
+async function legacyCall(tts, text, style, totalStep, speed, silenceDuration) {
+    let wavCat = [];
+    let durCat = 0;
+    for (const sentence of tts.planText(text, style, speed, silenceDuration)) {
+        if (sentence.silence !== undefined) continue;
+        const { wav, duration } = await legacyInfer(tts, [sentence.text], style, totalStep, speed);
+        if (wavCat.length > 0) {
+            const silence = new Array(Math.floor(silenceDuration * tts.sampleRate)).fill(0);
+            wavCat = [...wavCat, ...silence, ...wav];
+        } else {
+            wavCat = wav;
+        }
+        durCat += duration[0];
+    }
+    return { wav: wavCat, duration: [durCat] };
+}
+
+// --- Runner ---
+async function timeChunks(label, run, chunks) {
+    await run(); // Warm-up
+    const times = [];
+    for (let i = 0; i < chunks; i++) {
+        const start = performance.now();
+        await run();
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => a - b);
+    return {
+        label,
+        median: times[Math.floor(times.length / 2)],
+        min: times[0],
+        max: times[times.length - 1]
+    };
+}
+
+export async function runBenchmark({ chunks = 20, totalStep = 10, text = SAMPLE_TEXT, log = console.log } = {}) {
+    const cfgs = await loadCfgs(ONNX_PATH);
+    const textProcessor = await loadTextProcessor(ONNX_PATH);
+    const style = await loadVoiceStyle([VOICE_STYLE]);
+    const stubs = stubSessions(cfgs);
+
+    const tts = new TextToSpeech(cfgs, textProcessor, stubs.dp, stubs.textEnc, stubs.vectorEst, stubs.vocoder);
+    tts.yieldEachStep = false; // Measure CPU time, not frames
+
+    log(`${chunks} chunks of ${text.length} chars, ${totalStep} denoising steps, stub models`);
+    const results = [
+        await timeChunks('nested arrays (before)', () => legacyCall(tts, text, style, totalStep, 1.05, 0.3), chunks),
+        await timeChunks('typed arrays (now)', () => tts.call(text, style, totalStep, 1.05, 0.3), chunks)
+    ];
+    for (const r of results) {
+        log(`${r.label.padEnd(24)} median ${r.median.toFixed(1)} ms/chunk (min ${r.min.toFixed(1)}, max ${r.max.toFixed(1)})`);
+    }
+    log(`Speed-up: ${(results[0].median / results[1].median).toFixed(1)}x`);
+    return results;
+}
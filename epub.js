@@ -0,0 +1,452 @@
+// ============================================
+// EPUB Parsing - container.xml -> OPF package -> spine
+// ============================================
+
+const JSZIP_URL = 'https://esm.sh/jszip@3.10.1';
+
+/**
+ * Load JSZip on demand (only needed for EPUB input and zip exports)
+ */
+export async function loadJSZip() {
+    const JSZip = await import(JSZIP_URL);
+    return JSZip.default;
+}
+
+/**
+ * Resolve an href found in `baseDir` (e.g. "OEBPS/") to a path inside the zip
+ */
+function resolvePath(baseDir, href) {
+    let path = href.split('#')[0];
+    try {
+        path = decodeURIComponent(path);
+    } catch {
+        // Keep the raw href if it is not valid percent-encoding
+    }
+    const parts = (baseDir + path).split('/');
+    const resolved = [];
+    for (const part of parts) {
+        if (part === '..') {
+            resolved.pop();
+        } else if (part !== '.' && part !== '') {
+            resolved.push(part);
+        }
+    }
+    return resolved.join('/');
+}
+
+function dirname(path) {
+    const idx = path.lastIndexOf('/');
+    return idx === -1 ? '' : path.slice(0, idx + 1);
+}
+
+function parseXml(content) {
+    return new DOMParser().parseFromString(content, 'application/xml');
+}
+
+/**
+ * Find the OPF package path from META-INF/container.xml
+ */
+async function findPackagePath(zip) {
+    const container = zip.file('META-INF/container.xml');
+    if (container) {
+        const doc = parseXml(await container.async('string'));
+        const rootfile = doc.getElementsByTagNameNS('*', 'rootfile')[0];
+        const fullPath = rootfile?.getAttribute('full-path');
+        if (fullPath && zip.file(fullPath)) return fullPath;
+    }
+
+    // Broken container.xml - fall back to the first .opf in the archive
+    console.warn('container.xml missing or invalid, searching for OPF package');
+    return Object.keys(zip.files).find(name => name.toLowerCase().endsWith('.opf')) || null;
+}
+
+/**
+ * Parse the OPF package: manifest items and spine order
+ */
+export async function readPackage(zip) {
+    const opfPath = await findPackagePath(zip);
+    if (!opfPath) return null;
+
+    const baseDir = dirname(opfPath);
+    const doc = parseXml(await zip.file(opfPath).async('string'));
+
+    const manifest = new Map();
+    for (const item of doc.getElementsByTagNameNS('*', 'item')) {
+        const id = item.getAttribute('id');
+        const href = item.getAttribute('href');
+        if (!id || !href) continue;
+        manifest.set(id, {
+            id,
+            href,
+            path: resolvePath(baseDir, href),
+            mediaType: item.getAttribute('media-type') || '',
+            properties: (item.getAttribute('properties') || '').split(/\s+/).filter(Boolean)
+        });
+    }
+
+    const spine = [];
+    for (const itemref of doc.getElementsByTagNameNS('*', 'itemref')) {
+        const item = manifest.get(itemref.getAttribute('idref'));
+        if (!item) continue;
+        spine.push({
+            ...item,
+            linear: itemref.getAttribute('linear') !== 'no'
+        });
+    }
+
+    return { opfPath, baseDir, doc, manifest, spine };
+}
+
+/**
+ * Document files in reading order. Uses the OPF spine when available,
+ * otherwise every HTML/XHTML file in natural (ch2 < ch10) order.
+ */
+function getReadingOrder(zip, pkg) {
+    if (pkg && pkg.spine.length > 0) {
+        const linear = pkg.spine.filter(item => item.linear);
+        console.log(`OPF spine: ${pkg.spine.length} items, ${pkg.spine.length - linear.length} non-linear skipped`);
+        return linear.map(item => item.path).filter(path => zip.file(path));
+    }
+
+    console.warn('No usable OPF spine, falling back to file name order');
+    return Object.keys(zip.files)
+        .filter(name => /\.x?html?$/i.test(name))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * Parse an XHTML document, falling back to the lenient HTML parser
+ * for content that is not well-formed XML (entities, unclosed tags)
+ */
+function parseXhtml(content) {
+    const doc = new DOMParser().parseFromString(content, 'application/xhtml+xml');
+    if (doc.getElementsByTagName('parsererror').length === 0) return doc;
+    return new DOMParser().parseFromString(content, 'text/html');
+}
+
+// ============================================
+// Metadata - title, author and cover art from the OPF
+// ============================================
+
+function firstDcValue(doc, name) {
+    const node = doc.getElementsByTagNameNS('*', name)[0];
+    return cleanTitle(node?.textContent) || null;
+}
+
+/**
+ * Find the cover image: EPUB3 `cover-image` property, then the EPUB2
+ * <meta name="cover"> pointer, then any image item named like a cover
+ */
+function findCoverItem(pkg) {
+    const items = Array.from(pkg.manifest.values());
+    const byProperty = items.find(item => item.properties.includes('cover-image'));
+    if (byProperty) return byProperty;
+
+    const coverMeta = Array.from(pkg.doc.getElementsByTagNameNS('*', 'meta'))
+        .find(meta => meta.getAttribute('name') === 'cover');
+    const coverRef = coverMeta?.getAttribute('content');
+    if (coverRef) {
+        const item = pkg.manifest.get(coverRef) || items.find(item => item.href === coverRef);
+        if (item?.mediaType.startsWith('image/')) return item;
+    }
+
+    return items.find(item => item.mediaType.startsWith('image/') && /cover/i.test(item.id + item.href)) || null;
+}
+
+/**
+ * Book metadata: { title, author, cover: { data, mediaType } | null }
+ */
+export async function readMetadata(zip, pkg) {
+    if (!pkg) return { title: null, author: null, cover: null };
+
+    const creators = Array.from(pkg.doc.getElementsByTagNameNS('*', 'creator'));
+    const author = creators.find(node => /aut/.test(node.getAttribute('opf:role') || node.getAttribute('role') || '')) || creators[0];
+
+    let cover = null;
+    const coverItem = findCoverItem(pkg);
+    if (coverItem && zip.file(coverItem.path)) {
+        cover = {
+            data: await zip.file(coverItem.path).async('uint8array'),
+            mediaType: coverItem.mediaType
+        };
+    }
+
+    return {
+        title: firstDcValue(pkg.doc, 'title'),
+        author: cleanTitle(author?.textContent) || null,
+        cover
+    };
+}
+
+// ============================================
+// Table of Contents - EPUB3 nav.xhtml / EPUB2 toc.ncx
+// ============================================
+
+function splitHref(baseDir, href) {
+    const hashIdx = href.indexOf('#');
+    return {
+        path: resolvePath(baseDir, href),
+        fragment: hashIdx === -1 ? null : decodeFragment(href.slice(hashIdx + 1))
+    };
+}
+
+function decodeFragment(fragment) {
+    try {
+        return decodeURIComponent(fragment);
+    } catch {
+        return fragment;
+    }
+}
+
+function cleanTitle(title) {
+    return (title || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * EPUB3 navigation document: the <nav epub:type="toc"> list
+ */
+function parseNav(content, navPath) {
+    const doc = parseXhtml(content);
+    const baseDir = dirname(navPath);
+    const navs = Array.from(doc.getElementsByTagNameNS('*', 'nav'));
+    const toc = navs.find(nav => /\btoc\b/.test(nav.getAttribute('epub:type') || nav.getAttribute('type') || '')) || navs[0];
+    if (!toc) return [];
+
+    const entries = [];
+    for (const link of toc.getElementsByTagNameNS('*', 'a')) {
+        const href = link.getAttribute('href');
+        if (!href) continue;
+
+        let level = 0;
+        for (let node = link.parentElement; node && node !== toc; node = node.parentElement) {
+            if (node.localName === 'ol') level++;
+        }
+
+        entries.push({
+            title: cleanTitle(link.textContent),
+            ...splitHref(baseDir, href),
+            level: Math.max(0, level - 1)
+        });
+    }
+    return entries;
+}
+
+/**
+ * EPUB2 NCX: nested <navPoint> elements in document order
+ */
+function parseNcx(content, ncxPath) {
+    const doc = parseXml(content);
+    const baseDir = dirname(ncxPath);
+
+    const entries = [];
+    for (const point of doc.getElementsByTagNameNS('*', 'navPoint')) {
+        const children = Array.from(point.children);
+        const label = children.find(child => child.localName === 'navLabel');
+        const src = children.find(child => child.localName === 'content')?.getAttribute('src');
+        if (!src) continue;
+
+        let level = 0;
+        for (let node = point.parentElement; node; node = node.parentElement) {
+            if (node.localName === 'navPoint') level++;
+        }
+
+        entries.push({
+            title: cleanTitle(label?.textContent),
+            ...splitHref(baseDir, src),
+            level
+        });
+    }
+    return entries;
+}
+
+/**
+ * Read the book's table of contents, preferring the EPUB3 nav document
+ */
+export async function readTableOfContents(zip, pkg) {
+    if (!pkg) return [];
+
+    const navItem = Array.from(pkg.manifest.values()).find(item => item.properties.includes('nav'));
+    if (navItem && zip.file(navItem.path)) {
+        const entries = parseNav(await zip.file(navItem.path).async('string'), navItem.path);
+        if (entries.length > 0) return entries;
+    }
+
+    const spineEl = pkg.doc.getElementsByTagNameNS('*', 'spine')[0];
+    const ncxItem = pkg.manifest.get(spineEl?.getAttribute('toc')) ||
+        Array.from(pkg.manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+    if (ncxItem && zip.file(ncxItem.path)) {
+        return parseNcx(await zip.file(ncxItem.path).async('string'), ncxItem.path);
+    }
+
+    return [];
+}
+
+// ============================================
+// Text Extraction
+// ============================================
+
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title']);
+
+// Elements that start and end a paragraph of their own
+const BLOCK_ELEMENTS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'div',
+    'section', 'article', 'aside', 'header', 'footer', 'figure', 'figcaption',
+    'pre', 'table', 'tr', 'dt', 'dd', 'ul', 'ol', 'dl', 'hr'
+]);
+
+const HEADING_ELEMENTS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+/**
+ * Walk a document block by block and emit structured text: one paragraph
+ * per block (headings included), separated by blank lines, with whitespace
+ * collapsed inside each paragraph. Also records the text offset of every
+ * element id (TOC fragment targets).
+ */
+function extractDocument(doc) {
+    const anchors = new Map();
+    let text = '';
+    let current = '';
+
+    const flush = () => {
+        const paragraph = current.trim();
+        if (paragraph) text += (text ? '\n\n' : '') + paragraph;
+        current = '';
+    };
+
+    const append = (value) => {
+        let chunk = value.replace(/[ \t\r\n\f]+/g, ' ');
+        if ((current === '' || /\s$/.test(current)) && chunk.startsWith(' ')) {
+            chunk = chunk.slice(1);
+        }
+        current += chunk;
+    };
+
+    // Offset where the next emitted character will land
+    const position = () => {
+        const pending = current.trimStart();
+        return text.length + (text ? 2 : 0) + pending.length;
+    };
+
+    const visit = (node) => {
+        if (node.nodeType === 3) {
+            append(node.nodeValue);
+            return;
+        }
+        if (node.nodeType !== 1 || SKIPPED_ELEMENTS.has(node.localName)) return;
+
+        const isBlock = BLOCK_ELEMENTS.has(node.localName);
+        if (isBlock) flush();
+
+        const id = node.getAttribute('id');
+        if (id && !anchors.has(id)) {
+            anchors.set(id, position());
+        }
+
+        if (node.localName === 'br') {
+            // Line break inside a paragraph (poetry, addresses)
+            current = current.trimEnd() + '\n';
+            return;
+        }
+
+        for (const child of node.childNodes) visit(child);
+
+        if (isBlock) flush();
+    };
+
+    const root = doc.body || doc.documentElement;
+    if (root) visit(root);
+    flush();
+
+    // Anchors at the very end of the document point past the last paragraph
+    for (const [id, offset] of anchors) {
+        if (offset > text.length) anchors.set(id, text.length);
+    }
+
+    const heading = Array.from(doc.querySelectorAll('*')).find(node => HEADING_ELEMENTS.has(node.localName));
+    return {
+        text,
+        anchors,
+        heading: cleanTitle(heading?.textContent || doc.title)
+    };
+}
+
+/**
+ * Turn TOC entries into chapters with [start, end) ranges in the full text.
+ * Without a usable TOC, every spine document becomes a chapter.
+ */
+function buildChapters(tocEntries, documents, textLength) {
+    const docsByPath = new Map(documents.map(doc => [doc.path, doc]));
+
+    const starts = [];
+    for (const entry of tocEntries) {
+        const doc = docsByPath.get(entry.path);
+        if (!doc) continue; // Non-linear or missing document
+
+        let offset = doc.start;
+        if (entry.fragment && doc.anchors.has(entry.fragment)) {
+            offset += Math.min(doc.anchors.get(entry.fragment), doc.length);
+        }
+
+        // Keep TOC entries in reading order, first title wins on a shared offset
+        const last = starts[starts.length - 1];
+        if (last && offset <= last.start) continue;
+
+        starts.push({ title: entry.title || doc.heading, start: offset, level: entry.level });
+    }
+
+    if (starts.length === 0) {
+        documents.forEach((doc, i) => {
+            starts.push({ title: doc.heading || `Section ${i + 1}`, start: doc.start, level: 0 });
+        });
+    } else if (documents.length > 0 && starts[0].start > documents[0].start) {
+        starts.unshift({ title: 'Front Matter', start: 0, level: 0 });
+    }
+
+    return starts.map((chapter, i) => ({
+        index: i,
+        title: chapter.title || `Section ${i + 1}`,
+        level: chapter.level,
+        start: chapter.start,
+        end: i + 1 < starts.length ? starts[i + 1].start : textLength
+    }));
+}
+
+/**
+ * Extract the book text, its chapter list and metadata.
+ * Returns { text, chapters, metadata } where each chapter is
+ * { index, title, level, start, end } with offsets into `text`.
+ */
+export async function extractTextFromEPUB(file) {
+    console.log('Extracting text from EPUB...');
+    const JSZip = await loadJSZip();
+    const zip = await JSZip.loadAsync(file);
+
+    const pkg = await readPackage(zip);
+    const files = getReadingOrder(zip, pkg);
+    console.log('Found HTML files:', files.length);
+
+    const parts = [];
+    const documents = [];
+    let offset = 0;
+
+    for (const filename of files) {
+        const content = await zip.file(filename).async('string');
+        const doc = extractDocument(parseXhtml(content));
+        if (!doc.text) continue;
+
+        if (parts.length > 0) offset += 2; // Paragraph break between documents
+        documents.push({ path: filename, start: offset, length: doc.text.length, anchors: doc.anchors, heading: doc.heading });
+        parts.push(doc.text);
+        offset += doc.text.length;
+    }
+
+    const text = parts.join('\n\n');
+    const tocEntries = await readTableOfContents(zip, pkg);
+    const chapters = buildChapters(tocEntries, documents, text.length);
+    console.log(`Parsed ${chapters.length} chapters (${tocEntries.length} TOC entries)`);
+
+    const metadata = await readMetadata(zip, pkg);
+    console.log('Book metadata:', { title: metadata.title, author: metadata.author, cover: !!metadata.cover });
+
+    return { text, chapters, metadata };
+}
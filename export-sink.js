@@ -0,0 +1,85 @@
+// ============================================
+// Export Sinks - where an export is written: an in-memory Blob, or
+// straight to disk through the File System Access API
+// ============================================
+
+/**
+ * Collects the written parts in memory; close() returns one Blob
+ */
+export class BlobSink {
+    constructor(type) {
+        this.type = type;
+        this.parts = [];
+        this.seekable = false;
+    }
+
+    async write(bytes) {
+        this.parts.push(bytes);
+    }
+
+    // Replace the header written first (its size may change)
+    async writeHeader(bytes) {
+        this.parts[0] = bytes;
+    }
+
+    async close() {
+        return new Blob(this.parts, { type: this.type });
+    }
+
+    async abort() {
+        this.parts = [];
+    }
+}
+
+/**
+ * Streams into a file the user picked, so memory use stays flat however
+ * long the book is. The header is patched in place at the end and must
+ * keep the size it was first written with.
+ */
+export class FileSink {
+    constructor(handle) {
+        this.handle = handle;
+        this.writable = null;
+        this.seekable = true;
+    }
+
+    async write(bytes) {
+        if (!this.writable) this.writable = await this.handle.createWritable();
+        await this.writable.write(bytes);
+    }
+
+    async writeHeader(bytes) {
+        await this.writable.write({ type: 'write', position: 0, data: bytes });
+    }
+
+    // The browser only swaps the finished file in on close
+    async close() {
+        await this.writable.close();
+        return await this.handle.getFile();
+    }
+
+    async abort() {
+        if (this.writable) await this.writable.abort();
+    }
+}
+
+export function canWriteToDisk() {
+    return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+}
+
+/**
+ * Ask where to save. Must run while the click still counts as a user
+ * gesture. Returns null if the user cancels the dialog.
+ */
+export async function pickFileSink(suggestedName, { description, mimeType, extension }) {
+    try {
+        const handle = await window.showSaveFilePicker({
+            suggestedName,
+            types: [{ description, accept: { [mimeType]: ['.' + extension] } }]
+        });
+        return new FileSink(handle);
+    } catch (err) {
+        if (err.name === 'AbortError') return null;
+        throw err;
+    }
+}
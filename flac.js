@@ -0,0 +1,463 @@
+// ============================================
+// FLAC Export - lossless archival masters, fed chunk by chunk.
+// Fixed-predictor encoder (orders 0-4, partitioned Rice residuals),
+// 16-bit mono, with STREAMINFO (incl. MD5), SEEKTABLE and Vorbis comments
+// ============================================
+
+import { vorbisCommentBody, bookCommentFields, pictureBlock } from './vorbis-comment.js';
+
+const BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_PARTITION_ORDER = 8;
+const MAX_RICE_PARAM = 14;
+
+// One seek point every 10 seconds, like the reference encoder
+const SEEK_INTERVAL_SECONDS = 10;
+
+// Flush encoded frames into a Blob every few MB so the browser can page them out
+const PART_FLUSH_BYTES = 8 * 1024 * 1024;
+
+// Metadata block types
+const BLOCK_STREAMINFO = 0;
+const BLOCK_SEEKTABLE = 3;
+const BLOCK_VORBIS_COMMENT = 4;
+const BLOCK_PICTURE = 6;
+
+// Frame header sample-rate codes; anything else defers to STREAMINFO
+const SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+
+// ============================================
+// Checksums
+// ============================================
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    let c8 = i;
+    let c16 = i << 8;
+    for (let j = 0; j < 8; j++) {
+        c8 = (c8 & 0x80) ? (c8 << 1) ^ 0x07 : c8 << 1;
+        c16 = (c16 & 0x8000) ? (c16 << 1) ^ 0x8005 : c16 << 1;
+    }
+    CRC8_TABLE[i] = c8 & 0xFF;
+    CRC16_TABLE[i] = c16 & 0xFFFF;
+}
+
+function crc8(bytes, end) {
+    let crc = 0;
+    for (let i = 0; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+    return crc;
+}
+
+function crc16(bytes, end) {
+    let crc = 0;
+    for (let i = 0; i < end; i++) crc = ((crc << 8) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]]) & 0xFFFF;
+    return crc;
+}
+
+/**
+ * Incremental MD5 (RFC 1321) of the raw PCM, as STREAMINFO requires
+ */
+class MD5 {
+    constructor() {
+        this.state = new Int32Array([0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476]);
+        this.buffer = new Uint8Array(64);
+        this.bufferLength = 0;
+        this.length = 0;
+        this.words = new Int32Array(16);
+    }
+
+    update(bytes) {
+        this.length += bytes.length;
+        let offset = 0;
+        while (offset < bytes.length) {
+            const take = Math.min(64 - this.bufferLength, bytes.length - offset);
+            this.buffer.set(bytes.subarray(offset, offset + take), this.bufferLength);
+            this.bufferLength += take;
+            offset += take;
+            if (this.bufferLength === 64) {
+                this.transform();
+                this.bufferLength = 0;
+            }
+        }
+    }
+
+    digest() {
+        const bits = this.length * 8;
+        const tail = new Uint8Array(((this.bufferLength < 56) ? 64 : 128) - this.bufferLength);
+        tail[0] = 0x80;
+        const view = new DataView(tail.buffer);
+        view.setUint32(tail.length - 8, bits >>> 0, true);
+        view.setUint32(tail.length - 4, Math.floor(bits / 0x100000000), true);
+        this.update(tail);
+        return new Uint8Array(this.state.buffer.slice(0));
+    }
+
+    transform() {
+        const w = this.words;
+        const b = this.buffer;
+        for (let i = 0; i < 16; i++) {
+            w[i] = b[i * 4] | (b[i * 4 + 1] << 8) | (b[i * 4 + 2] << 16) | (b[i * 4 + 3] << 24);
+        }
+        let [a0, b0, c0, d0] = this.state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) { f = (b0 & c0) | (~b0 & d0); g = i; }
+            else if (i < 32) { f = (d0 & b0) | (~d0 & c0); g = (5 * i + 1) & 15; }
+            else if (i < 48) { f = b0 ^ c0 ^ d0; g = (3 * i + 5) & 15; }
+            else { f = c0 ^ (b0 | ~d0); g = (7 * i) & 15; }
+            const sum = (a0 + f + MD5_K[i] + w[g]) | 0;
+            a0 = d0;
+            d0 = c0;
+            c0 = b0;
+            b0 = (b0 + ((sum << MD5_S[i]) | (sum >>> (32 - MD5_S[i])))) | 0;
+        }
+        this.state[0] += a0;
+        this.state[1] += b0;
+        this.state[2] += c0;
+        this.state[3] += d0;
+    }
+}
+
+const MD5_S = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_K = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+// ============================================
+// Bit writer
+// ============================================
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.acc = 0;
+        this.count = 0;
+    }
+
+    // Up to 24 bits at a time
+    write(value, bits) {
+        if (bits === 0) return;
+        this.acc = (this.acc << bits) | (value & ((1 << bits) - 1));
+        this.count += bits;
+        while (this.count >= 8) {
+            this.count -= 8;
+            if (this.length === this.bytes.length) this.grow();
+            this.bytes[this.length++] = (this.acc >>> this.count) & 0xFF;
+        }
+        this.acc &= (1 << this.count) - 1;
+    }
+
+    // `zeros` zero bits followed by a one
+    writeUnary(zeros) {
+        while (zeros >= 24) {
+            this.write(0, 24);
+            zeros -= 24;
+        }
+        this.write(1, zeros + 1);
+    }
+
+    alignToByte() {
+        if (this.count > 0) this.write(0, 8 - this.count);
+    }
+
+    grow() {
+        const bytes = new Uint8Array(this.bytes.length * 2);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+    }
+}
+
+// ============================================
+// Frame encoding
+// ============================================
+
+// Residuals of the fixed polynomial predictor of the given order
+function fixedResidual(x, n, order, out) {
+    for (let i = order; i < n; i++) {
+        switch (order) {
+            case 0: out[i] = x[i]; break;
+            case 1: out[i] = x[i] - x[i - 1]; break;
+            case 2: out[i] = x[i] - 2 * x[i - 1] + x[i - 2]; break;
+            case 3: out[i] = x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3]; break;
+            default: out[i] = x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+        }
+    }
+}
+
+// Order whose residual has the smallest total magnitude
+function bestFixedOrder(x, n) {
+    const sums = [0, 0, 0, 0, 0];
+    for (let i = 4; i < n; i++) {
+        const e0 = x[i];
+        const e1 = e0 - x[i - 1];
+        const e2 = e1 - (x[i - 1] - x[i - 2]);
+        const e3 = e2 - (x[i - 1] - 2 * x[i - 2] + x[i - 3]);
+        const e4 = e3 - (x[i - 1] - 3 * x[i - 2] + 3 * x[i - 3] - x[i - 4]);
+        sums[0] += Math.abs(e0);
+        sums[1] += Math.abs(e1);
+        sums[2] += Math.abs(e2);
+        sums[3] += Math.abs(e3);
+        sums[4] += Math.abs(e4);
+    }
+    let order = 0;
+    for (let i = 1; i < 5; i++) if (sums[i] < sums[order]) order = i;
+    return order;
+}
+
+// Estimated bits for one Rice partition: its best parameter and cost
+function riceCost(sum, count) {
+    const mean = count > 0 ? sum / count : 0;
+    const guess = mean > 1 ? Math.min(MAX_RICE_PARAM, Math.floor(Math.log2(mean))) : 0;
+    let best = { param: 0, bits: Infinity };
+    for (let k = Math.max(0, guess - 1); k <= Math.min(MAX_RICE_PARAM, guess + 1); k++) {
+        const bits = count * (k + 1) + Math.floor(sum / 2 ** k);
+        if (bits < best.bits) best = { param: k, bits };
+    }
+    return best;
+}
+
+// Pick the partition order and per-partition Rice parameters for a residual
+function planResidual(u, n, order) {
+    let maxOrder = 0;
+    while (maxOrder < MAX_PARTITION_ORDER && n % (2 << maxOrder) === 0 && (n >> (maxOrder + 1)) > order) {
+        maxOrder++;
+    }
+
+    // Sums at the finest partitioning, merged pairwise for coarser ones
+    let sums = new Array(1 << maxOrder).fill(0);
+    const size = n >> maxOrder;
+    for (let i = order; i < n; i++) sums[Math.floor(i / size)] += u[i];
+
+    let best = null;
+    for (let p = maxOrder; p >= 0; p--) {
+        const partitionSize = n >> p;
+        let bits = 0;
+        const params = [];
+        for (let i = 0; i < sums.length; i++) {
+            const count = partitionSize - (i === 0 ? order : 0);
+            const cost = riceCost(sums[i], count);
+            params.push(cost.param);
+            bits += 4 + cost.bits;
+        }
+        if (!best || bits < best.bits) best = { partitionOrder: p, params, bits };
+
+        const merged = [];
+        for (let i = 0; i < sums.length; i += 2) merged.push(sums[i] + (sums[i + 1] || 0));
+        sums = merged;
+    }
+    return best;
+}
+
+function writeSubframe(w, x, n, residual, folded) {
+    let constant = true;
+    for (let i = 1; i < n && constant; i++) constant = x[i] === x[0];
+    if (constant) {
+        w.write(0x00, 8);
+        w.write(x[0], BITS_PER_SAMPLE);
+        return;
+    }
+
+    if (n > 4) {
+        const order = bestFixedOrder(x, n);
+        fixedResidual(x, n, order, residual);
+        for (let i = order; i < n; i++) {
+            const r = residual[i];
+            folded[i] = r >= 0 ? r * 2 : -r * 2 - 1;
+        }
+        const plan = planResidual(folded, n, order);
+
+        if (plan.bits + order * BITS_PER_SAMPLE + 6 < n * BITS_PER_SAMPLE) {
+            w.write((0x08 | order) << 1, 8);
+            for (let i = 0; i < order; i++) w.write(x[i], BITS_PER_SAMPLE);
+
+            w.write(0, 2); // Rice, 4-bit parameters
+            w.write(plan.partitionOrder, 4);
+            const partitionSize = n >> plan.partitionOrder;
+            for (let p = 0; p < plan.params.length; p++) {
+                const k = plan.params[p];
+                const mask = (1 << k) - 1;
+                w.write(k, 4);
+                const end = (p + 1) * partitionSize;
+                for (let i = p === 0 ? order : p * partitionSize; i < end; i++) {
+                    w.writeUnary(folded[i] >>> k);
+                    w.write(folded[i] & mask, k);
+                }
+            }
+            return;
+        }
+    }
+
+    w.write(0x02, 8); // Verbatim
+    for (let i = 0; i < n; i++) w.write(x[i], BITS_PER_SAMPLE);
+}
+
+// Frame numbers use the UTF-8-style variable-length code
+function writeFrameNumber(w, value) {
+    if (value < 0x80) {
+        w.write(value, 8);
+        return;
+    }
+    let extra = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : value < 0x4000000 ? 4 : 5;
+    w.write((0xFF00 >> (extra + 1)) & 0xFF | (value >>> (6 * extra)), 8);
+    while (extra-- > 0) w.write(0x80 | ((value >>> (6 * extra)) & 0x3F), 8);
+}
+
+function encodeFrame(x, n, frameNumber, sampleRateCode, residual, folded) {
+    const w = new BitWriter(n * 2 + 64);
+
+    w.write(0xFFF8, 16);                    // Sync, fixed block size
+    const sizeCode = n === BLOCK_SIZE ? 12 : n <= 256 ? 6 : 7;
+    w.write(sizeCode, 4);
+    w.write(sampleRateCode, 4);
+    w.write(0, 4);                          // Mono
+    w.write(4, 3);                          // 16 bits per sample
+    w.write(0, 1);
+    writeFrameNumber(w, frameNumber);
+    if (sizeCode === 6) w.write(n - 1, 8);
+    if (sizeCode === 7) w.write(n - 1, 16);
+    w.write(crc8(w.bytes, w.length), 8);
+
+    writeSubframe(w, x, n, residual, folded);
+    w.alignToByte();
+    w.write(crc16(w.bytes, w.length), 16);
+
+    return w.bytes.subarray(0, w.length);
+}
+
+// ============================================
+// Metadata blocks
+// ============================================
+function metadataBlock(type, body, isLast) {
+    const block = new Uint8Array(4 + body.length);
+    block[0] = (isLast ? 0x80 : 0) | type;
+    block[1] = (body.length >>> 16) & 0xFF;
+    block[2] = (body.length >>> 8) & 0xFF;
+    block[3] = body.length & 0xFF;
+    block.set(body, 4);
+    return block;
+}
+
+function streamInfo({ sampleRate, minFrameSize, maxFrameSize, totalSamples, md5 }) {
+    const w = new BitWriter(34);
+    w.write(BLOCK_SIZE, 16);                // Min block size (the last block may be shorter)
+    w.write(BLOCK_SIZE, 16);                // Max block size
+    w.write(minFrameSize, 24);
+    w.write(maxFrameSize, 24);
+    w.write(sampleRate, 20);
+    w.write(0, 3);                          // Channels - 1
+    w.write(BITS_PER_SAMPLE - 1, 5);
+    w.write(Math.floor(totalSamples / 2 ** 32) & 0xF, 4);
+    w.write(Math.floor(totalSamples / 2 ** 16) & 0xFFFF, 16);
+    w.write(totalSamples & 0xFFFF, 16);
+    const bytes = w.bytes.subarray(0, w.length);
+    const out = new Uint8Array(34);
+    out.set(bytes);
+    out.set(md5, 18);
+    return out;
+}
+
+function seekTable(points) {
+    const body = new Uint8Array(points.length * 18);
+    const view = new DataView(body.buffer);
+    points.forEach((point, i) => {
+        view.setBigUint64(i * 18, BigInt(point.sample));
+        view.setBigUint64(i * 18 + 8, BigInt(point.offset));
+        view.setUint16(i * 18 + 16, point.samples);
+    });
+    return body;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Encode PCM chunks into a FLAC Blob. Decoding gives back exactly the
+ * Int16 samples it was fed.
+ * `chunks` is an (async) iterable of { pcm: Int16Array }.
+ * options: { sampleRate, title, author, album,
+ *            markers: [{ title, start }] (start in samples), cover }
+ */
+export async function encodeFLAC(chunks, options) {
+    const { sampleRate, title = null, author = null, album = null, markers = [], cover = null } = options;
+
+    const sampleRateCode = SAMPLE_RATE_CODES[sampleRate] || 0;
+    const seekInterval = SEEK_INTERVAL_SECONDS * sampleRate;
+    const block = new Int32Array(BLOCK_SIZE);
+    const residual = new Int32Array(BLOCK_SIZE);
+    const folded = new Uint32Array(BLOCK_SIZE);
+    const md5 = new MD5();
+
+    const parts = [null];
+    let pending = [];
+    let pendingBytes = 0;
+    let filled = 0;
+    let frameNumber = 0;
+    let totalSamples = 0;
+    let framesBytes = 0;
+    let minFrameSize = Infinity;
+    let maxFrameSize = 0;
+    const seekPoints = [];
+    let nextSeekSample = 0;
+
+    const flushBlock = () => {
+        const frameStart = frameNumber * BLOCK_SIZE;
+        if (frameStart + filled > nextSeekSample) {
+            seekPoints.push({ sample: frameStart, offset: framesBytes, samples: filled });
+            while (nextSeekSample < frameStart + filled) nextSeekSample += seekInterval;
+        }
+
+        const frame = encodeFrame(block, filled, frameNumber++, sampleRateCode, residual, folded);
+        minFrameSize = Math.min(minFrameSize, frame.length);
+        maxFrameSize = Math.max(maxFrameSize, frame.length);
+        framesBytes += frame.length;
+
+        pending.push(frame);
+        pendingBytes += frame.length;
+        if (pendingBytes >= PART_FLUSH_BYTES) {
+            parts.push(new Blob(pending));
+            pending = [];
+            pendingBytes = 0;
+        }
+        filled = 0;
+    };
+
+    for await (const { pcm } of chunks) {
+        md5.update(new Uint8Array(pcm.buffer, pcm.byteOffset, pcm.byteLength));
+        for (let i = 0; i < pcm.length; i++) {
+            block[filled++] = pcm[i];
+            if (filled === BLOCK_SIZE) flushBlock();
+        }
+        totalSamples += pcm.length;
+    }
+    if (filled > 0) flushBlock();
+    if (pending.length > 0) parts.push(new Blob(pending));
+    if (totalSamples === 0) return null;
+
+    // Seek offsets are relative to the first frame, so the metadata
+    // can be built last and put in front
+    const fields = bookCommentFields({ title, author, album, markers, sampleRate });
+    const blocks = [
+        [BLOCK_STREAMINFO, streamInfo({ sampleRate, minFrameSize, maxFrameSize, totalSamples, md5: md5.digest() })],
+        [BLOCK_SEEKTABLE, seekTable(seekPoints)],
+        [BLOCK_VORBIS_COMMENT, vorbisCommentBody('Lumina Audiobooks', fields)]
+    ];
+    if (cover?.data?.length) {
+        const picture = pictureBlock(cover);
+        if (picture.length < 2 ** 24) blocks.push([BLOCK_PICTURE, picture]);
+    }
+
+    parts[0] = new Blob([
+        new TextEncoder().encode('fLaC'),
+        ...blocks.map(([type, body], i) => metadataBlock(type, body, i === blocks.length - 1))
+    ]);
+
+    console.log(`FLAC: ${(totalSamples / sampleRate / 60).toFixed(1)} min, ${frameNumber} frames, ${seekPoints.length} seek points`);
+    return new Blob(parts, { type: 'audio/flac' });
+}
@@ -1,9 +1,14 @@
-// ONNX Runtime is loaded via CDN script tag, available as window.ort
-const ort = window.ort;
+import { normalizeText } from './normalizer.js';
+import { compileLexicon, applyLexicon } from './lexicon.js';
+import { isSSML, parseSSML } from './ssml.js';
+import { chunkText } from './segmenter.js';
 
-if (!ort) {
-    console.error('ONNX Runtime not available! Ensure the script tag is loaded before this module.');
-} else {
+// ONNX Runtime: window.ort from the CDN script tag on a page, or set on
+// globalThis by tts-worker.js before it imports this module. The main
+// thread of the app only uses the text helpers and does not load it.
+const ort = globalThis.ort;
+
+if (ort) {
     // Configure WASM paths to use CDN - this ensures the WASM files are loaded correctly
     ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
     
@@ -19,6 +24,11 @@ if (!ort) {
  * Call this periodically during long-running operations
  */
 export function yieldToBrowser() {
+    // Workers have no UI to update, only messages (e.g. cancel) to let in;
+    // requestAnimationFrame would also stall in a background tab
+    if (typeof document === 'undefined') {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
     return new Promise(resolve => {
         // Use requestAnimationFrame for smooth UI updates
         requestAnimationFrame(() => {
@@ -27,6 +37,50 @@ export function yieldToBrowser() {
     });
 }
 
+/**
+ * Rejection of a synthesis stopped through its AbortSignal, whether by a
+ * cancel or a timeout (AbortSignal.timeout). The signal's reason is `cause`.
+ */
+export class AbortError extends Error {
+    constructor(message = 'Synthesis cancelled', options = undefined) {
+        super(message, options);
+        this.name = 'AbortError';
+    }
+}
+
+/**
+ * Throw an AbortError if `signal` (optional) has been aborted
+ */
+export function throwIfAborted(signal) {
+    if (!signal?.aborted) return;
+    const reason = signal.reason;
+    if (reason instanceof AbortError) throw reason;
+    const message = reason?.name === 'TimeoutError' ? 'Synthesis timed out' : 'Synthesis cancelled';
+    throw new AbortError(message, { cause: reason });
+}
+
+/**
+ * Seedable random number generator (mulberry32): returns a function giving
+ * floats in [0, 1), the same sequence for the same 32-bit seed.
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh 32-bit seed, for callers that want to record the one they used
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
 /**
  * Configure ONNX Runtime Environment
  */
@@ -47,29 +101,55 @@ export function configureEnv(settings) {
 export class UnicodeProcessor {
     constructor(indexer) {
         this.indexer = indexer;
+        this.lexicon = null;
     }
 
+    /**
+     * Pronunciation lexicon entries ({ word, respelling, caseSensitive, wholeWord })
+     * applied to every text before indexing
+     */
+    setLexicon(entries) {
+        this.lexicon = compileLexicon(entries);
+    }
+
+    /**
+     * Whether the model has an index for this code point
+     */
+    isSupported(codePoint) {
+        return codePoint < this.indexer.length && this.indexer[codePoint] !== -1;
+    }
+
+    /**
+     * Index a batch of texts. Returns flat row-major buffers ready for
+     * tensors: textIds [bsz, maxLen] and textMask [bsz, 1, maxLen].
+     */
     call(textList) {
         const processedTexts = textList.map(text => this.preprocessText(text));
         
         const textIdsLengths = processedTexts.map(text => text.length);
         const maxLen = Math.max(...textIdsLengths);
         
-        const textIds = processedTexts.map(text => {
-            const row = new Array(maxLen).fill(0);
+        const textIds = new BigInt64Array(processedTexts.length * maxLen);
+        processedTexts.forEach((text, b) => {
+            const offset = b * maxLen;
             for (let j = 0; j < text.length; j++) {
                 const codePoint = text.codePointAt(j);
-                row[j] = (codePoint < this.indexer.length) ? this.indexer[codePoint] : -1;
+                textIds[offset + j] = BigInt((codePoint < this.indexer.length) ? this.indexer[codePoint] : -1);
             }
-            return row;
         });
         
         const textMask = this.getTextMask(textIdsLengths);
-        return { textIds, textMask };
+        return { textIds, textMask, maxLen };
     }
 
     preprocessText(text) {
-        // TODO: Need advanced normalizer for better performance
+        // User respellings first, so they match the text as written
+        text = applyLexicon(text, this.lexicon);
+
+        // Spell out numbers, currencies, dates, times and units (English).
+        // Before NFKD, which folds "km²" into "km2" and "½" into "1⁄2"
+        text = normalizeText(text);
+
         text = text.normalize('NFKD');
 
         // FIXME: this should be fixed for non-English languages
@@ -156,17 +236,22 @@ export class UnicodeProcessor {
     }
 
     lengthToMask(lengths, maxLen = null) {
-        const actualMaxLen = maxLen || Math.max(...lengths);
-        return lengths.map(len => {
-            const row = new Array(actualMaxLen).fill(0.0);
-            for (let j = 0; j < Math.min(len, actualMaxLen); j++) {
-                row[j] = 1.0;
-            }
-            return [row];
-        });
+        return lengthToMask(lengths, maxLen);
     }
 }
 
+/**
+ * Flat [bsz, 1, maxLen] mask: 1 inside each length, 0 in the padding
+ */
+export function lengthToMask(lengths, maxLen = null) {
+    const actualMaxLen = maxLen || Math.max(...lengths);
+    const mask = new Float32Array(lengths.length * actualMaxLen);
+    lengths.forEach((len, b) => {
+        mask.fill(1.0, b * actualMaxLen, b * actualMaxLen + Math.min(len, actualMaxLen));
+    });
+    return mask;
+}
+
 /**
  * Style class to hold TTL and DP tensors
  */
@@ -189,21 +274,26 @@ export class TextToSpeech {
         this.vectorEstOrt = vectorEstOrt;
         this.vocoderOrt = vocoderOrt;
         this.sampleRate = cfgs.ae.sample_rate;
+        this.voiceStylesPath = null; // Directory of <name>.json styles, for SSML <voice>
+        this.voiceStyles = new Map();
+        this.yieldEachStep = true;   // Let the UI breathe between denoising steps (benchmarks turn it off)
+    }
+
+    setLexicon(entries) {
+        this.textProcessor.setLexicon(entries);
     }
 
-    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null) {
+    // Returns { wavs, duration }: one Float32Array per text, cut to its predicted duration.
+    // `randoms`: one generator per text for the initial noise (default Math.random).
+    // `signal` is checked before each model run; a run itself cannot be interrupted
+    async _infer(textList, style, totalStep, speed = 1.05, progressCallback = null, randoms = null, signal = null) {
         const bsz = textList.length;
+        throwIfAborted(signal);
         
         // Process text
-        const { textIds, textMask } = this.textProcessor.call(textList);
-        
-        const textIdsFlat = new BigInt64Array(textIds.flat().map(x => BigInt(x)));
-        const textIdsShape = [bsz, textIds[0].length];
-        const textIdsTensor = new ort.Tensor('int64', textIdsFlat, textIdsShape);
-        
-        const textMaskFlat = new Float32Array(textMask.flat(2));
-        const textMaskShape = [bsz, 1, textMask[0][0].length];
-        const textMaskTensor = new ort.Tensor('float32', textMaskFlat, textMaskShape);
+        const { textIds, textMask, maxLen } = this.textProcessor.call(textList);
+        const textIdsTensor = new ort.Tensor('int64', textIds, [bsz, maxLen]);
+        const textMaskTensor = new ort.Tensor('float32', textMask, [bsz, 1, maxLen]);
         
         // Predict duration
         const dpOutputs = await this.dpOrt.run({
@@ -227,21 +317,22 @@ export class TextToSpeech {
         const textEmb = textEncOutputs.text_emb;
         
         // Sample noisy latent
-        let { xt, latentMask } = this.sampleNoisyLatent(
+        const { xt, latentMask, latentDim, latentLen } = this.sampleNoisyLatent(
             duration,
             this.sampleRate,
             this.cfgs.ae.base_chunk_size,
             this.cfgs.ttl.chunk_compress_factor,
-            this.cfgs.ttl.latent_dim
+            this.cfgs.ttl.latent_dim,
+            randoms
         );
         
-        const latentMaskFlat = new Float32Array(latentMask.flat(2));
-        const latentMaskShape = [bsz, 1, latentMask[0][0].length];
-        const latentMaskTensor = new ort.Tensor('float32', latentMaskFlat, latentMaskShape);
-        
-        // Prepare constant arrays
-        const totalStepArray = new Float32Array(bsz).fill(totalStep);
-        const totalStepTensor = new ort.Tensor('float32', totalStepArray, [bsz]);
+        // Tensors wrap their buffers, so these are reused by every step:
+        // xt is overwritten in place with each step's output
+        const xtTensor = new ort.Tensor('float32', xt, [bsz, latentDim, latentLen]);
+        const latentMaskTensor = new ort.Tensor('float32', latentMask, [bsz, 1, latentLen]);
+        const totalStepTensor = new ort.Tensor('float32', new Float32Array(bsz).fill(totalStep), [bsz]);
+        const currentStepArray = new Float32Array(bsz);
+        const currentStepTensor = new ort.Tensor('float32', currentStepArray, [bsz]);
         
         // Denoising loop
         for (let step = 0; step < totalStep; step++) {
@@ -250,14 +341,10 @@ export class TextToSpeech {
             }
             
             // Yield to browser every step to keep UI responsive
-            await yieldToBrowser();
+            if (this.yieldEachStep) await yieldToBrowser();
+            throwIfAborted(signal);
             
-            const currentStepArray = new Float32Array(bsz).fill(step);
-            const currentStepTensor = new ort.Tensor('float32', currentStepArray, [bsz]);
-            
-            const xtFlat = new Float32Array(xt.flat(2));
-            const xtShape = [bsz, xt[0].length, xt[0][0].length];
-            const xtTensor = new ort.Tensor('float32', xtFlat, xtShape);
+            currentStepArray.fill(step);
             
             const vectorEstOutputs = await this.vectorEstOrt.run({
                 noisy_latent: xtTensor,
@@ -269,70 +356,209 @@ export class TextToSpeech {
                 total_step: totalStepTensor
             });
             
-            const denoised = Array.from(vectorEstOutputs.denoised_latent.data);
-            
-            // Reshape to 3D
-            const latentDim = xt[0].length;
-            const latentLen = xt[0][0].length;
-            xt = [];
-            let idx = 0;
-            for (let b = 0; b < bsz; b++) {
-                const batch = [];
-                for (let d = 0; d < latentDim; d++) {
-                    const row = [];
-                    for (let t = 0; t < latentLen; t++) {
-                        row.push(denoised[idx++]);
-                    }
-                    batch.push(row);
-                }
-                xt.push(batch);
-            }
+            xt.set(vectorEstOutputs.denoised_latent.data);
         }
         
         // Generate waveform
-        const finalXtFlat = new Float32Array(xt.flat(2));
-        const finalXtShape = [bsz, xt[0].length, xt[0][0].length];
-        const finalXtTensor = new ort.Tensor('float32', finalXtFlat, finalXtShape);
-        
+        throwIfAborted(signal);
         const vocoderOutputs = await this.vocoderOrt.run({
-            latent: finalXtTensor
+            latent: xtTensor
         });
         
-        const wav = Array.from(vocoderOutputs.wav_tts.data);
+        const wav = vocoderOutputs.wav_tts.data;
         
-        return { wav, duration };
+        // The vocoder returns [bsz, maxLen] in whole latent chunks; the
+        // padding past each duration is dropped
+        const itemLength = wav.length / bsz;
+        const wavs = duration.map((seconds, b) => {
+            const length = Math.min(itemLength, Math.floor(seconds * this.sampleRate));
+            return wav.slice(b * itemLength, b * itemLength + length);
+        });
+        return { wavs, duration };
     }
 
-    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null) {
+    /**
+     * Synthesize plain text or an SSML document (<speak>...</speak>).
+     * SSML breaks become exact silences, prosody rate scales `speed` and
+     * <voice name> switches to that style from `voiceStylesPath`.
+     * The same `seed` (32-bit integer) gives the same audio; null for random.
+     * Rejects with an AbortError once `signal` aborts, at the next denoising
+     * step or sentence.
+     */
+    async call(text, style, totalStep, speed = 1.05, silenceDuration = 0.3, progressCallback = null, seed = null, signal = null) {
         if (style.ttl.dims[0] !== 1) {
             throw new Error('Single speaker text to speech only supports single style');
         }
-        const textList = chunkText(text);
-        let wavCat = [];
+        const plan = await this.plan(text, style, speed, silenceDuration);
+        
+        // One generator across all parts, so the seed covers the whole text
+        const randoms = seed === null ? null : [createRandom(seed)];
+        
+        // Audio parts (or silence lengths) are joined once at the end
+        const parts = [];
+        let totalLength = 0;
         let durCat = 0;
         
-        for (const chunk of textList) {
-            const { wav, duration } = await this._infer([chunk], style, totalStep, speed, progressCallback);
+        for (const item of plan) {
+            if (item.silence !== undefined) {
+                const silenceLen = Math.floor(item.silence * this.sampleRate);
+                parts.push(silenceLen);
+                totalLength += silenceLen;
+                durCat += item.silence;
+                continue;
+            }
             
-            if (wavCat.length === 0) {
-                wavCat = wav;
-                durCat = duration[0];
+            const { wavs: [wav], duration } = await this._infer([item.text], item.style, totalStep, item.speed, progressCallback, randoms, signal);
+            parts.push(wav);
+            totalLength += wav.length;
+            durCat += duration[0];
+        }
+        
+        const wavCat = new Float32Array(totalLength);
+        let offset = 0;
+        for (const part of parts) {
+            if (typeof part === 'number') {
+                offset += part; // Already zero
             } else {
-                const silenceLen = Math.floor(silenceDuration * this.sampleRate);
-                const silence = new Array(silenceLen).fill(0);
-                wavCat = [...wavCat, ...silence, ...wav];
-                durCat += duration[0] + silenceDuration;
+                wavCat.set(part, offset);
+                offset += part.length;
             }
         }
         
         return { wav: wavCat, duration: [durCat] };
     }
 
-    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null) {
-        return await this._infer(textList, style, totalStep, speed, progressCallback);
+    /**
+     * Synthesize text or SSML sentence by sentence, yielding each as soon as
+     * it is done: { audio: Float32Array, text, startTime, duration }, times
+     * in seconds from the start of the whole text (silences included).
+     * Options are those of call(): { totalStep, speed, silenceDuration,
+     * progressCallback, seed, signal }. Unlike call(), short sentences are
+     * not joined into longer chunks, so the first one comes sooner.
+     */
+    async *stream(text, style, {
+        totalStep,
+        speed = 1.05,
+        silenceDuration = 0.3,
+        progressCallback = null,
+        seed = null,
+        signal = null
+    } = {}) {
+        if (style.ttl.dims[0] !== 1) {
+            throw new Error('Single speaker text to speech only supports single style');
+        }
+        const plan = await this.plan(text, style, speed, silenceDuration, true);
+        const randoms = seed === null ? null : [createRandom(seed)];
+        
+        // Counted in samples, as call() joins them, so times do not drift
+        let offset = 0;
+        for (const item of plan) {
+            if (item.silence !== undefined) {
+                offset += Math.floor(item.silence * this.sampleRate);
+                continue;
+            }
+            
+            const { wavs: [wav] } = await this._infer([item.text], item.style, totalStep, item.speed, progressCallback, randoms, signal);
+            yield {
+                audio: wav,
+                text: item.text,
+                startTime: offset / this.sampleRate,
+                duration: wav.length / this.sampleRate
+            };
+            offset += wav.length;
+        }
+    }
+
+    // Sentences to synthesize and the silences between them
+    async plan(text, style, speed, silenceDuration, bySentence = false) {
+        return isSSML(text)
+            ? await this.planSSML(text, style, speed, silenceDuration, bySentence)
+            : this.planText(text, style, speed, silenceDuration, bySentence);
+    }
+
+    // Sentence chunks with the default silence between them
+    planText(text, style, speed, silenceDuration, bySentence = false) {
+        const plan = [];
+        for (const chunk of chunkText(text, { packSentences: !bySentence })) {
+            if (plan.length > 0) plan.push({ silence: silenceDuration });
+            plan.push({ text: chunk, style, speed });
+        }
+        return plan;
+    }
+
+    // Segments run back to back; only explicit breaks add silence between them
+    async planSSML(ssml, style, speed, silenceDuration, bySentence = false) {
+        const plan = [];
+        for (const segment of parseSSML(ssml)) {
+            if (segment.type === 'break') {
+                if (segment.seconds > 0) plan.push({ silence: segment.seconds });
+                continue;
+            }
+            if (!segment.text.trim()) continue;
+            
+            const segmentStyle = segment.voice ? await this.getVoiceStyle(segment.voice) : style;
+            plan.push(...this.planText(segment.text, segmentStyle, speed * segment.rate, silenceDuration, bySentence));
+        }
+        return plan;
+    }
+
+    // Voice styles by name, loaded once
+    async getVoiceStyle(name) {
+        if (!this.voiceStylesPath) {
+            throw new Error('SSML <voice> needs voiceStylesPath to be set');
+        }
+        if (!this.voiceStyles.has(name)) {
+            this.voiceStyles.set(name, loadVoiceStyle([`${this.voiceStylesPath}/${name}.json`]));
+        }
+        try {
+            return await this.voiceStyles.get(name);
+        } catch (err) {
+            this.voiceStyles.delete(name);
+            throw new Error(`Unknown voice "${name}": ${err.message}`);
+        }
+    }
+
+    /**
+     * Synthesize several texts in one padded batch (one inference pass).
+     * Texts should be of similar length, since every item is padded to the
+     * longest. Returns { wavs, duration }: one Float32Array per text, cut to
+     * its predicted duration, and the durations in seconds.
+     * `seed` is one seed per text, or a single seed for item 0 with item i
+     * using seed + i. An item's noise depends only on its own seed, so a
+     * text gets the same noise here as from call() with that seed.
+     * Rejects with an AbortError once `signal` aborts.
+     */
+    async batch(textList, style, totalStep, speed = 1.05, progressCallback = null, seed = null, signal = null) {
+        const bsz = textList.length;
+        let randoms = null;
+        if (Array.isArray(seed)) {
+            if (seed.length !== bsz) throw new Error(`Got ${seed.length} seeds for ${bsz} texts`);
+            randoms = seed.map(createRandom);
+        } else if (seed !== null) {
+            randoms = textList.map((_, i) => createRandom(seed + i));
+        }
+        return await this._infer(textList, this.expandStyle(style, bsz), totalStep, speed, progressCallback, randoms, signal);
+    }
+
+    // One style repeated `bsz` times, as the models expect one per batch item
+    expandStyle(style, bsz) {
+        if (style.ttl.dims[0] === bsz) return style;
+        if (style.ttl.dims[0] !== 1) {
+            throw new Error(`Style has ${style.ttl.dims[0]} entries, batch has ${bsz}`);
+        }
+        const repeat = (tensor) => {
+            const data = new Float32Array(tensor.data.length * bsz);
+            for (let b = 0; b < bsz; b++) data.set(tensor.data, b * tensor.data.length);
+            return new ort.Tensor('float32', data, [bsz, ...tensor.dims.slice(1)]);
+        };
+        return new Style(repeat(style.ttl), repeat(style.dp));
     }
 
-    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim) {
+    /**
+     * Gaussian noise [bsz, latentDim, latentLen] as one flat buffer, zeroed
+     * past each item's length, plus the matching [bsz, 1, latentLen] mask
+     */
+    sampleNoisyLatent(duration, sampleRate, baseChunkSize, chunkCompress, latentDim, randoms = null) {
         const bsz = duration.length;
         const maxDur = Math.max(...duration);
         
@@ -343,47 +569,32 @@ export class TextToSpeech {
         const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
         const latentDimVal = latentDim * chunkCompress;
         
-        const xt = [];
-        for (let b = 0; b < bsz; b++) {
-            const batch = [];
-            for (let d = 0; d < latentDimVal; d++) {
-                const row = [];
-                for (let t = 0; t < latentLen; t++) {
-                    // Box-Muller transform
-                    const u1 = Math.max(0.0001, Math.random());
-                    const u2 = Math.random();
-                    const val = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
-                    row.push(val);
-                }
-                batch.push(row);
-            }
-            xt.push(batch);
-        }
-        
         const latentLengths = wavLengths.map(len => Math.floor((len + chunkSize - 1) / chunkSize));
-        const latentMask = this.lengthToMask(latentLengths, latentLen);
+        const latentMask = lengthToMask(latentLengths, latentLen);
         
-        // Apply mask
+        const xt = new Float32Array(bsz * latentDimVal * latentLen);
         for (let b = 0; b < bsz; b++) {
+            const random = randoms ? randoms[b] : Math.random;
+            const validLen = Math.min(latentLengths[b], latentLen);
             for (let d = 0; d < latentDimVal; d++) {
-                for (let t = 0; t < latentLen; t++) {
-                    xt[b][d][t] *= latentMask[b][0][t];
+                const row = (b * latentDimVal + d) * latentLen;
+                // Box-Muller transform, both outputs used; masked tail stays zero.
+                // Only valid positions draw, so padding never shifts the sequence
+                for (let t = 0; t < validLen; t += 2) {
+                    const u1 = Math.max(0.0001, random());
+                    const u2 = random();
+                    const radius = Math.sqrt(-2.0 * Math.log(u1));
+                    xt[row + t] = radius * Math.cos(2.0 * Math.PI * u2);
+                    if (t + 1 < validLen) xt[row + t + 1] = radius * Math.sin(2.0 * Math.PI * u2);
                 }
             }
         }
         
-        return { xt, latentMask };
+        return { xt, latentMask, latentDim: latentDimVal, latentLen };
     }
 
     lengthToMask(lengths, maxLen = null) {
-        const actualMaxLen = maxLen || Math.max(...lengths);
-        return lengths.map(len => {
-            const row = new Array(actualMaxLen).fill(0.0);
-            for (let j = 0; j < Math.min(len, actualMaxLen); j++) {
-                row[j] = 1.0;
-            }
-            return [row];
-        });
+        return lengthToMask(lengths, maxLen);
     }
 }
 
@@ -589,48 +800,6 @@ export async function loadTextToSpeech(onnxDir, sessionOptions = {}, progressCal
     }
 }
 
-/**
- * Chunk text into manageable segments
- */
-function chunkText(text, maxLen = 300) {
-    if (typeof text !== 'string') {
-        throw new Error(`chunkText expects a string, got ${typeof text}`);
-    }
-    
-    // Split by paragraph (two or more newlines)
-    const paragraphs = text.trim().split(/\n\s*\n+/).filter(p => p.trim());
-    
-    const chunks = [];
-    
-    for (let paragraph of paragraphs) {
-        paragraph = paragraph.trim();
-        if (!paragraph) continue;
-        
-        // Split by sentence boundaries (period, question mark, exclamation mark followed by space)
-        // But exclude common abbreviations like Mr., Mrs., Dr., etc. and single capital letters like F.
-        const sentences = paragraph.split(/(?<!Mr\.|Mrs\.|Ms\.|Dr\.|Prof\.|Sr\.|Jr\.|Ph\.D\.|etc\.|e\.g\.|i\.e\.|vs\.|Inc\.|Ltd\.|Co\.|Corp\.|St\.|Ave\.|Blvd\.)(?<!\b[A-Z]\.)(?<=[.!?])\s+/);
-        
-        let currentChunk = "";
-        
-        for (let sentence of sentences) {
-            if (currentChunk.length + sentence.length + 1 <= maxLen) {
-                currentChunk += (currentChunk ? " " : "") + sentence;
-            } else {
-                if (currentChunk) {
-                    chunks.push(currentChunk.trim());
-                }
-                currentChunk = sentence;
-            }
-        }
-        
-        if (currentChunk) {
-            chunks.push(currentChunk.trim());
-        }
-    }
-    
-    return chunks;
-}
-
 /**
  * Write WAV file to ArrayBuffer
  */
@@ -0,0 +1,122 @@
+// ============================================
+// Pronunciation Lexicon - word -> respelling replacements applied to
+// the text before the model sees it. Pure functions; the app stores
+// one lexicon per book in IndexedDB.
+// ============================================
+
+const LEXICON_FORMAT_VERSION = 1;
+
+// Letters, digits and underscore count as part of a word
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate one entry and fill in option defaults.
+ * Throws if the word or respelling is missing. A respelling of only
+ * whitespace is kept as a single space, which drops the word.
+ */
+export function normalizeEntry(entry) {
+    const word = typeof entry?.word === 'string' ? entry.word.trim() : '';
+    const rawRespelling = typeof entry?.respelling === 'string' ? entry.respelling : '';
+    const respelling = rawRespelling.trim() || (rawRespelling ? ' ' : '');
+    if (!word) throw new Error('Lexicon entry needs a word');
+    if (!respelling) throw new Error(`Lexicon entry "${word}" needs a respelling`);
+
+    return {
+        word,
+        respelling,
+        caseSensitive: entry.caseSensitive === true,
+        wholeWord: entry.wholeWord !== false
+    };
+}
+
+// Case-insensitive match without the `i` flag, so case-sensitive and
+// insensitive entries can share one pass: "Eir" -> "[eE][iI][rR]"
+function caseInsensitivePattern(word) {
+    let pattern = '';
+    for (const ch of word) {
+        const lower = ch.toLowerCase();
+        const upper = ch.toUpperCase();
+        pattern += lower === upper ? escapeRegExp(ch) : `[${escapeRegExp(lower)}${escapeRegExp(upper)}]`;
+    }
+    return pattern;
+}
+
+/**
+ * Compile entries into one matcher. Longer words win over shorter ones
+ * starting at the same place, and replacements are never re-matched.
+ * Returns null for an empty lexicon.
+ */
+export function compileLexicon(entries) {
+    if (!entries || entries.length === 0) return null;
+
+    const sorted = entries.map(normalizeEntry).sort((a, b) => b.word.length - a.word.length);
+    const alternatives = sorted.map(entry => {
+        let pattern = entry.caseSensitive ? escapeRegExp(entry.word) : caseInsensitivePattern(entry.word);
+        if (entry.wholeWord) pattern = `(?<!${WORD_CHAR})${pattern}(?!${WORD_CHAR})`;
+        return `(${pattern})`;
+    });
+
+    return { entries: sorted, pattern: new RegExp(alternatives.join('|'), 'gu') };
+}
+
+/**
+ * Apply a compiled lexicon. Case-insensitive respellings take a capital
+ * first letter when the matched word has one ("gif" -> "jif", "Gif" -> "Jif").
+ */
+export function applyLexicon(text, lexicon) {
+    if (!lexicon) return text;
+
+    return text.replace(lexicon.pattern, (match, ...groups) => {
+        const index = groups.findIndex(group => group !== undefined);
+        const entry = lexicon.entries[index];
+        if (!entry) return match;
+
+        const { respelling } = entry;
+        if (!entry.caseSensitive && match[0] !== match[0].toLowerCase()) {
+            return respelling[0].toUpperCase() + respelling.slice(1);
+        }
+        return respelling;
+    });
+}
+
+/**
+ * JSON for sharing: { version, entries: [{ word, respelling, caseSensitive, wholeWord }] }
+ */
+export function lexiconToJSON(entries) {
+    return JSON.stringify({ version: LEXICON_FORMAT_VERSION, entries: entries.map(normalizeEntry) }, null, 2);
+}
+
+/**
+ * Parse shared JSON (the object above, or a bare array of entries).
+ * Throws with a readable message on malformed input.
+ */
+export function parseLexiconJSON(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (err) {
+        throw new Error('Lexicon file is not valid JSON: ' + err.message);
+    }
+
+    const entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error('Lexicon file has no "entries" list');
+    }
+    if (!Array.isArray(data) && data.version > LEXICON_FORMAT_VERSION) {
+        throw new Error(`Lexicon file version ${data.version} is newer than this app supports`);
+    }
+    return entries.map(normalizeEntry);
+}
+
+/**
+ * Merge imported entries into a lexicon; an imported word replaces an
+ * existing entry with the same word and case setting.
+ */
+export function mergeLexicons(current, imported) {
+    const key = (entry) => entry.caseSensitive ? entry.word : entry.word.toLowerCase();
+    const merged = new Map(current.map(entry => [key(entry), entry]));
+    for (const entry of imported) merged.set(key(entry), entry);
+    return [...merged.values()];
+}
@@ -0,0 +1,438 @@
+// ============================================
+// M4B Audiobook Export - AAC (WebCodecs) in an MP4 container
+// with chapter markers, title/author tags and cover art
+// ============================================
+
+const AAC_FRAME_SIZE = 1024;
+// Encoder delay of AAC-LC when the encoder does not report it: the first
+// frame only primes the decoder
+const AAC_PRIMING_SAMPLES = 1024;
+const MOVIE_TIMESCALE = 1000;
+const MAX_ENCODE_QUEUE = 32;
+
+// Flush encoded packets into a Blob every few MB so the browser can page them out
+const PACKET_FLUSH_BYTES = 8 * 1024 * 1024;
+
+// ============================================
+// Box (atom) helpers
+// ============================================
+const textEncoder = new TextEncoder();
+
+function u8(value) {
+    return Uint8Array.of(value & 0xFF);
+}
+
+function u16(value) {
+    const out = new Uint8Array(2);
+    new DataView(out.buffer).setUint16(0, value);
+    return out;
+}
+
+function u32(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value);
+    return out;
+}
+
+function u64(value) {
+    const out = new Uint8Array(8);
+    new DataView(out.buffer).setBigUint64(0, BigInt(Math.round(value)));
+    return out;
+}
+
+function fourcc(type) {
+    // Latin-1 so '©nam' etc. stay 4 bytes
+    return Uint8Array.from(type, ch => ch.charCodeAt(0));
+}
+
+function concat(parts) {
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function box(type, ...payload) {
+    const body = concat(payload);
+    return concat([u32(body.length + 8), fourcc(type), body]);
+}
+
+function fullBox(type, version, flags, ...payload) {
+    return box(type, u8(version), u8(flags >> 16), u16(flags & 0xFFFF), ...payload);
+}
+
+// Unity matrix used by mvhd/tkhd
+const MATRIX = concat([
+    u32(0x00010000), u32(0), u32(0),
+    u32(0), u32(0x00010000), u32(0),
+    u32(0), u32(0), u32(0x40000000)
+]);
+
+// Language code 'und', packed ISO-639-2/T
+const LANGUAGE_UND = 0x55C4;
+
+// 64-bit (version 1) header fields only when the duration needs them
+function timeFields(duration) {
+    const version = duration > 0xFFFFFFFF ? 1 : 0;
+    const time = version ? u64(0) : u32(0);
+    return { version, time, duration: version ? u64(duration) : u32(duration) };
+}
+
+// ============================================
+// moov building blocks
+// ============================================
+function mvhd(duration, nextTrackId) {
+    const t = timeFields(duration);
+    return fullBox('mvhd', t.version, 0,
+        t.time, t.time, u32(MOVIE_TIMESCALE), t.duration,
+        u32(0x00010000), u16(0x0100), new Uint8Array(10),
+        MATRIX, new Uint8Array(24), u32(nextTrackId)
+    );
+}
+
+function tkhd(trackId, duration, flags, volume) {
+    const t = timeFields(duration);
+    return fullBox('tkhd', t.version, flags,
+        t.time, t.time, u32(trackId), u32(0), t.duration,
+        new Uint8Array(8), u16(0), u16(0), u16(volume), u16(0),
+        MATRIX, u32(0), u32(0)
+    );
+}
+
+function mdhd(timescale, duration) {
+    const t = timeFields(duration);
+    return fullBox('mdhd', t.version, 0,
+        t.time, t.time, u32(timescale), t.duration, u16(LANGUAGE_UND), u16(0)
+    );
+}
+
+/**
+ * Edit list that starts playback `mediaTime` samples into the track (the
+ * encoder delay) and lasts `duration` in the movie timescale, so the
+ * priming samples are skipped and chapter times line up with the audio
+ */
+function edts(duration, mediaTime) {
+    const version = duration > 0xFFFFFFFF ? 1 : 0;
+    return box('edts', fullBox('elst', version, 0,
+        u32(1),
+        version ? u64(duration) : u32(duration),
+        version ? u64(mediaTime) : u32(mediaTime),
+        u16(1), u16(0) // Rate 1.0
+    ));
+}
+
+function hdlr(handlerType, name) {
+    return fullBox('hdlr', 0, 0,
+        u32(0), fourcc(handlerType), new Uint8Array(12), textEncoder.encode(name + '\0')
+    );
+}
+
+function dinf() {
+    return box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+}
+
+// Sample table: sizes per sample, all samples in one chunk at `chunkOffset`
+function stbl(sampleEntry, timeToSample, sampleSizes, chunkOffset) {
+    const stts = fullBox('stts', 0, 0,
+        u32(timeToSample.length),
+        ...timeToSample.flatMap(([count, delta]) => [u32(count), u32(delta)])
+    );
+    const stsc = fullBox('stsc', 0, 0, u32(1), u32(1), u32(sampleSizes.length), u32(1));
+
+    const sizes = new Uint8Array(sampleSizes.length * 4);
+    const sizesView = new DataView(sizes.buffer);
+    sampleSizes.forEach((size, i) => sizesView.setUint32(i * 4, size));
+    const stsz = fullBox('stsz', 0, 0, u32(0), u32(sampleSizes.length), sizes);
+
+    const stco = chunkOffset > 0xFFFFFFFF
+        ? fullBox('co64', 0, 0, u32(1), u64(chunkOffset))
+        : fullBox('stco', 0, 0, u32(1), u32(chunkOffset));
+
+    return box('stbl', fullBox('stsd', 0, 0, u32(1), sampleEntry), stts, stsc, stsz, stco);
+}
+
+// MPEG-4 descriptor with a single-byte length (all of ours are < 128 bytes)
+function descriptor(tag, ...payload) {
+    const body = concat(payload);
+    return concat([u8(tag), u8(body.length), body]);
+}
+
+function mp4aSampleEntry(sampleRate, channels, bitrate, audioSpecificConfig) {
+    const decoderConfig = descriptor(0x04,
+        u8(0x40),                 // Audio ISO/IEC 14496-3
+        u8((0x05 << 2) | 1),      // Audio stream
+        new Uint8Array(3),        // Buffer size
+        u32(bitrate), u32(bitrate),
+        descriptor(0x05, audioSpecificConfig)
+    );
+    const esds = fullBox('esds', 0, 0,
+        descriptor(0x03, u16(0), u8(0), decoderConfig, descriptor(0x06, u8(0x02)))
+    );
+
+    return box('mp4a',
+        new Uint8Array(6), u16(1),    // Reserved, data reference index
+        new Uint8Array(8),            // Version, revision, vendor
+        u16(channels), u16(16), u16(0), u16(0),
+        u32(sampleRate << 16),
+        esds
+    );
+}
+
+// QuickTime text sample description for the chapter track
+// (display flags 0, justification 1, defaults elsewhere)
+function textSampleEntry() {
+    const properties = new Uint8Array(43);
+    properties[7] = 1;
+    return box('text', new Uint8Array(6), u16(1), properties);
+}
+
+// AudioSpecificConfig for AAC-LC when the encoder does not report one
+function defaultAudioSpecificConfig(sampleRate, channels) {
+    const rates = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+    const freqIndex = rates.indexOf(sampleRate);
+    if (freqIndex === -1) {
+        throw new Error(`Unsupported AAC sample rate: ${sampleRate}`);
+    }
+    const config = (2 << 11) | (freqIndex << 7) | (channels << 3);
+    return u16(config);
+}
+
+// ============================================
+// Metadata: iTunes ilst tags + Nero chapter list
+// ============================================
+function dataAtom(type, payload) {
+    return box('data', u32(type), u32(0), payload);
+}
+
+function textTag(type, value) {
+    return box(type, dataAtom(1, textEncoder.encode(value)));
+}
+
+function ilst({ title, author, cover }) {
+    const items = [];
+    if (title) {
+        items.push(textTag('©nam', title), textTag('©alb', title));
+    }
+    if (author) {
+        items.push(textTag('©ART', author), textTag('aART', author));
+    }
+    items.push(textTag('©gen', 'Audiobook'));
+    items.push(box('stik', dataAtom(21, u8(2)))); // Media kind: audiobook
+
+    if (cover?.data?.length) {
+        const imageType = cover.mediaType === 'image/png' ? 14 : 13;
+        items.push(box('covr', dataAtom(imageType, cover.data)));
+    }
+
+    return box('meta', u32(0), hdlr('mdir', ''), box('ilst', ...items));
+}
+
+// Nero-style chapter list (start times in 100ns units), read by most players
+function chpl(markers, sampleRate) {
+    const entries = markers.slice(0, 255).map(marker => {
+        const title = textEncoder.encode(marker.title).slice(0, 255);
+        return concat([u64(marker.start / sampleRate * 1e7), u8(title.length), title]);
+    });
+    return fullBox('chpl', 1, 0, u32(0), u8(entries.length), ...entries);
+}
+
+// Chapter track samples: 16-bit length + UTF-8 title + encoding atom
+function chapterSample(title) {
+    const text = textEncoder.encode(title);
+    return concat([u16(text.length), text, box('encd', u32(0x00000100))]);
+}
+
+// ============================================
+// AAC encoding via WebCodecs
+// ============================================
+
+/**
+ * Encode Int16 PCM chunks to AAC-LC packets.
+ * `chunks` is an (async) iterable of { pcm: Int16Array, chapter: { title } }.
+ * Returns { parts, sizes, totalSamples, primingSamples, markers, audioSpecificConfig }.
+ */
+async function encodeAAC(chunks, sampleRate, bitrate) {
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('M4B export needs WebCodecs (AudioEncoder), which this browser does not support');
+    }
+
+    const config = { codec: 'mp4a.40.2', sampleRate, numberOfChannels: 1, bitrate };
+    const support = await AudioEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error(`AAC encoding at ${sampleRate} Hz is not supported in this browser`);
+    }
+
+    const parts = [];
+    const sizes = [];
+    let pending = [];
+    let pendingBytes = 0;
+    let audioSpecificConfig = null;
+    let firstTimestamp = null;
+    let encodeError = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            if (firstTimestamp === null) firstTimestamp = chunk.timestamp;
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            sizes.push(data.length);
+            pending.push(data);
+            pendingBytes += data.length;
+            if (pendingBytes >= PACKET_FLUSH_BYTES) {
+                parts.push(new Blob(pending));
+                pending = [];
+                pendingBytes = 0;
+            }
+            if (metadata?.decoderConfig?.description && !audioSpecificConfig) {
+                audioSpecificConfig = new Uint8Array(metadata.decoderConfig.description.slice(0));
+            }
+        },
+        error: (err) => { encodeError = err; }
+    });
+    encoder.configure(config);
+
+    const markers = [];
+    let lastChapter = null;
+    let totalSamples = 0;
+
+    for await (const { pcm, chapter } of chunks) {
+        if (encodeError) break;
+        if (chapter && chapter !== lastChapter) {
+            markers.push({ title: chapter.title, start: totalSamples });
+            lastChapter = chapter;
+        }
+
+        encoder.encode(new AudioData({
+            format: 's16',
+            sampleRate,
+            numberOfChannels: 1,
+            numberOfFrames: pcm.length,
+            timestamp: Math.round(totalSamples * 1e6 / sampleRate),
+            data: pcm
+        }));
+        totalSamples += pcm.length;
+
+        // Backpressure - don't queue the whole book inside the encoder
+        while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encodeError) {
+            await new Promise(r => setTimeout(r, 0));
+        }
+    }
+
+    if (!encodeError) await encoder.flush();
+    if (encoder.state !== 'closed') encoder.close();
+    if (encodeError) throw encodeError;
+
+    if (pending.length > 0) parts.push(new Blob(pending));
+
+    // Encoders that report their delay start the first packet before zero;
+    // it can never be more than the samples encoded past the input
+    const reported = firstTimestamp < 0 ? Math.round(-firstTimestamp * sampleRate / 1e6) : AAC_PRIMING_SAMPLES;
+    const primingSamples = Math.max(0, Math.min(reported, sizes.length * AAC_FRAME_SIZE - totalSamples));
+
+    return {
+        parts,
+        sizes,
+        totalSamples,
+        primingSamples,
+        markers,
+        audioSpecificConfig: audioSpecificConfig || defaultAudioSpecificConfig(sampleRate, 1)
+    };
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Encode PCM chunks into an M4B audiobook Blob.
+ * options: { sampleRate, bitrate, title, author, cover: { data, mediaType } }
+ */
+export async function encodeM4B(chunks, options) {
+    const { sampleRate, bitrate = 64000, title = null, author = null, cover = null } = options;
+
+    const audio = await encodeAAC(chunks, sampleRate, bitrate);
+    if (audio.sizes.length === 0) return null;
+
+    // The track holds whole frames, priming and padding included; the edit
+    // list presents only the input samples
+    const audioDuration = audio.sizes.length * AAC_FRAME_SIZE;
+    const movieDuration = Math.round(audio.totalSamples / sampleRate * MOVIE_TIMESCALE);
+
+    // Chapter track: one text sample per marker, durations in ms
+    const markers = audio.markers.length > 0 ? audio.markers : [{ title: title || 'Audiobook', start: 0 }];
+    const chapterSamples = markers.map(marker => chapterSample(marker.title));
+    const chapterTimes = markers.map(marker => Math.round(marker.start / sampleRate * MOVIE_TIMESCALE));
+    const chapterDurations = chapterTimes.map((start, i) => {
+        const end = i + 1 < chapterTimes.length ? chapterTimes[i + 1] : movieDuration;
+        return Math.max(1, end - start);
+    });
+
+    const audioBytes = audio.sizes.reduce((sum, size) => sum + size, 0);
+    const chapterBytes = chapterSamples.reduce((sum, sample) => sum + sample.length, 0);
+    const mdatPayload = audioBytes + chapterBytes;
+    const mdatHeaderSize = mdatPayload + 8 > 0xFFFFFFFF ? 16 : 8;
+
+    const ftyp = box('ftyp', fourcc('M4B '), u32(0), fourcc('M4B '), fourcc('M4A '), fourcc('mp42'), fourcc('isom'));
+
+    // moov sits before mdat, so its size is needed for the chunk offsets;
+    // build once with the offsets the final layout will have
+    const buildMoov = (audioOffset, chapterOffset) => box('moov',
+        mvhd(movieDuration, 3),
+        box('trak',
+            tkhd(1, movieDuration, 0x3, 0x0100),
+            edts(movieDuration, audio.primingSamples),
+            box('tref', box('chap', u32(2))),
+            box('mdia',
+                mdhd(sampleRate, audioDuration),
+                hdlr('soun', 'SoundHandler'),
+                box('minf',
+                    fullBox('smhd', 0, 0, u16(0), u16(0)),
+                    dinf(),
+                    stbl(
+                        mp4aSampleEntry(sampleRate, 1, bitrate, audio.audioSpecificConfig),
+                        [[audio.sizes.length, AAC_FRAME_SIZE]],
+                        audio.sizes,
+                        audioOffset
+                    )
+                )
+            )
+        ),
+        box('trak',
+            tkhd(2, movieDuration, 0x0, 0),
+            box('mdia',
+                mdhd(MOVIE_TIMESCALE, movieDuration),
+                hdlr('text', 'ChapterHandler'),
+                box('minf',
+                    fullBox('nmhd', 0, 0),
+                    dinf(),
+                    stbl(
+                        textSampleEntry(),
+                        chapterDurations.map(duration => [1, duration]),
+                        chapterSamples.map(sample => sample.length),
+                        chapterOffset
+                    )
+                )
+            )
+        ),
+        box('udta', chpl(markers, sampleRate), ilst({ title, author, cover }))
+    );
+
+    // Offsets only change the moov size when stco becomes co64, so two passes settle it
+    let moov = buildMoov(0, 0);
+    for (let pass = 0; pass < 2; pass++) {
+        const audioOffset = ftyp.length + moov.length + mdatHeaderSize;
+        moov = buildMoov(audioOffset, audioOffset + audioBytes);
+    }
+
+    const mdatHeader = mdatHeaderSize === 16
+        ? concat([u32(1), fourcc('mdat'), u64(mdatPayload + 16)])
+        : concat([u32(mdatPayload + 8), fourcc('mdat')]);
+
+    console.log(`M4B: ${audio.sizes.length} AAC frames, ${markers.length} chapters, ${(audio.totalSamples / sampleRate / 60).toFixed(1)} min, ${audio.primingSamples} priming samples skipped`);
+
+    return new Blob([ftyp, moov, mdatHeader, ...audio.parts, ...chapterSamples], { type: 'audio/mp4' });
+}
@@ -0,0 +1,197 @@
+// ============================================
+// MP3 Export - LAME compiled to WebAssembly, fed chunk by chunk.
+// Constant bitrate or quality-based variable bitrate, mono or stereo.
+// LAME's own Xing/Info frame needs the finished file to be rewritten, so
+// one is built here from the frames as they stream out and put in front:
+// players take the duration and seek points from it without a scan.
+// ============================================
+
+const ENCODER_URL = 'https://esm.sh/wasm-media-encoders@0.7.0';
+
+// Bitrates offered for constant bitrate (kbps)
+export const MP3_BITRATES = [32, 48, 64, 96, 128, 192];
+
+// LAME VBR quality: 0 is the best and largest, 9 the smallest
+export const MP3_VBR_QUALITIES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Samples handed to the encoder per call (multiple of the 1152-sample MP3 frame)
+const ENCODE_BLOCK = 1152 * 32;
+
+// Flush encoded frames into a Blob every few MB so the browser can page them out
+const PART_FLUSH_BYTES = 8 * 1024 * 1024;
+
+// Byte offset of every this many frames is kept for the Xing seek table
+const OFFSET_INTERVAL = 16;
+
+// Layer III bitrates (kbps) by header index, for MPEG-1 and for MPEG-2/2.5
+const LAYER3_BITRATES = {
+    mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+// Sample rates by header index, for version bits 3 (MPEG-1), 2 (MPEG-2) and 0 (MPEG-2.5)
+const MPEG_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Bitrate index of a Xing frame roomy enough for the seek table
+// (128 kbps for MPEG-1, 64 kbps for MPEG-2/2.5)
+const XING_BITRATE_INDEX = { mpeg1: 9, mpeg2: 8 };
+
+/**
+ * Fields of an MPEG audio frame header. LAME may resample low bitrates,
+ * so the stream's own frames are read rather than the options.
+ */
+function parseFrameHeader(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xFF || (bytes[1] & 0xE0) !== 0xE0) {
+        throw new Error('MP3 encoder output is not at a frame header');
+    }
+    const version = (bytes[1] >> 3) & 0x03;
+    const mpeg1 = version === 3;
+    const bitrate = LAYER3_BITRATES[mpeg1 ? 'mpeg1' : 'mpeg2'][bytes[2] >> 4];
+    const sampleRate = MPEG_SAMPLE_RATES[version][(bytes[2] >> 2) & 0x03];
+    const padding = (bytes[2] >> 1) & 0x01;
+    const mono = (bytes[3] >> 6) === 3;
+    return {
+        bytes: bytes.slice(0, 4),
+        mpeg1,
+        // Side information precedes the Xing/Info tag
+        sideInfoSize: mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17),
+        length: Math.floor((mpeg1 ? 144 : 72) * bitrate * 1000 / sampleRate) + padding
+    };
+}
+
+/**
+ * Follows the frame headers of the encoded stream as it is produced,
+ * whatever the byte boundaries of the pieces: the first header, the frame
+ * count and the offsets for the seek table.
+ */
+class FrameIndex {
+    constructor() {
+        this.first = null;
+        this.frames = 0;
+        this.bytes = 0;
+        this.nextFrame = 0;          // Byte offset of the next header
+        this.tail = new Uint8Array(0); // Start of a header split across pieces
+        this.offsets = [];           // Offset of every OFFSET_INTERVAL-th frame
+    }
+
+    push(bytes) {
+        const start = this.bytes - this.tail.length;
+        let data = bytes;
+        if (this.tail.length > 0) {
+            data = new Uint8Array(this.tail.length + bytes.length);
+            data.set(this.tail);
+            data.set(bytes, this.tail.length);
+        }
+        this.bytes += bytes.length;
+
+        while (this.nextFrame + 4 <= this.bytes) {
+            const header = parseFrameHeader(data.subarray(this.nextFrame - start));
+            if (!this.first) this.first = header;
+            if (this.frames % OFFSET_INTERVAL === 0) this.offsets.push(this.nextFrame);
+            this.frames++;
+            this.nextFrame += header.length;
+        }
+        this.tail = this.nextFrame < this.bytes ? data.slice(this.nextFrame - start) : new Uint8Array(0);
+    }
+
+    // Offset of frame `frame`, to within OFFSET_INTERVAL frames
+    offsetOf(frame) {
+        return this.offsets[Math.min(Math.floor(frame / OFFSET_INTERVAL), this.offsets.length - 1)];
+    }
+}
+
+/**
+ * Silent frame in front of the audio giving the frame and byte counts of
+ * the whole file, itself included: "Info" for constant bitrate, "Xing"
+ * plus a 100-point seek table for variable bitrate. Decoders skip it.
+ */
+function xingFrame(index, vbr) {
+    const { first } = index;
+    const headerBytes = first.bytes.slice();
+    headerBytes[2] &= ~0x02; // No padding byte
+    if (vbr) {
+        const bitrateIndex = XING_BITRATE_INDEX[first.mpeg1 ? 'mpeg1' : 'mpeg2'];
+        headerBytes[2] = (headerBytes[2] & 0x0F) | (bitrateIndex << 4);
+    }
+    const header = parseFrameHeader(headerBytes);
+
+    const frame = new Uint8Array(header.length);
+    frame.set(headerBytes);
+    const view = new DataView(frame.buffer);
+    const tag = 4 + header.sideInfoSize;
+    const totalBytes = header.length + index.bytes;
+
+    frame.set([...(vbr ? 'Xing' : 'Info')].map(c => c.charCodeAt(0)), tag);
+    view.setUint32(tag + 4, vbr ? 0x07 : 0x03); // Frame and byte counts, and the seek table for VBR
+    view.setUint32(tag + 8, index.frames + 1);
+    view.setUint32(tag + 12, totalBytes);
+    if (vbr) {
+        // Entry i: where i% of the duration starts, in 256ths of the file
+        for (let i = 0; i < 100; i++) {
+            const offset = header.length + index.offsetOf(Math.floor(i / 100 * index.frames));
+            frame[tag + 16 + i] = Math.min(255, Math.floor(offset / totalBytes * 256));
+        }
+    }
+    return frame;
+}
+
+/**
+ * Encode PCM chunks into an MP3 Blob.
+ * `chunks` is an (async) iterable of { pcm: Int16Array }, read one at a time
+ * so the full PCM never sits in memory.
+ * options: { sampleRate, bitrate, vbrQuality, channels }. bitrate in kbps
+ * gives constant bitrate; a vbrQuality (0-9) gives variable bitrate instead.
+ * channels 2 writes the mono voice to both sides, for players that need stereo.
+ */
+export async function encodeMP3(chunks, options) {
+    const { sampleRate, bitrate = 64, vbrQuality = null, channels = 1 } = options;
+    const vbr = vbrQuality !== null;
+    if (vbr ? !MP3_VBR_QUALITIES.includes(vbrQuality) : !MP3_BITRATES.includes(bitrate)) {
+        throw new Error(vbr ? `Unsupported MP3 VBR quality: V${vbrQuality}` : `Unsupported MP3 bitrate: ${bitrate} kbps`);
+    }
+    if (channels !== 1 && channels !== 2) {
+        throw new Error(`Unsupported MP3 channel count: ${channels}`);
+    }
+
+    const { createMp3Encoder } = await import(ENCODER_URL);
+    const encoder = await createMp3Encoder();
+    encoder.configure(vbr ? { sampleRate, channels, vbrQuality } : { sampleRate, channels, bitrate });
+
+    const parts = [];
+    const index = new FrameIndex();
+    let pending = [];
+    let pendingBytes = 0;
+    let totalSamples = 0;
+
+    // The encoder reuses its output buffer, so each piece is copied
+    const push = (frames) => {
+        if (frames.length === 0) return;
+        const bytes = frames.slice();
+        index.push(bytes);
+        pending.push(bytes);
+        pendingBytes += bytes.length;
+        if (pendingBytes >= PART_FLUSH_BYTES) {
+            parts.push(new Blob(pending));
+            pending = [];
+            pendingBytes = 0;
+        }
+    };
+
+    const block = new Float32Array(ENCODE_BLOCK);
+    for await (const { pcm } of chunks) {
+        for (let i = 0; i < pcm.length; i += ENCODE_BLOCK) {
+            const samples = block.subarray(0, Math.min(ENCODE_BLOCK, pcm.length - i));
+            for (let j = 0; j < samples.length; j++) samples[j] = pcm[i + j] / 32768;
+            push(encoder.encode(channels === 2 ? [samples, samples] : [samples]));
+        }
+        totalSamples += pcm.length;
+    }
+    push(encoder.finalize());
+
+    if (pending.length > 0) parts.push(new Blob(pending));
+    if (totalSamples === 0) return null;
+    parts.unshift(xingFrame(index, vbr));
+
+    const mode = vbr ? `VBR V${vbrQuality}` : `${bitrate} kbps`;
+    console.log(`MP3: ${(totalSamples / sampleRate / 60).toFixed(1)} min at ${mode}, ${channels === 2 ? 'stereo' : 'mono'}`);
+    return new Blob(parts, { type: 'audio/mpeg' });
+}
@@ -0,0 +1,472 @@
+// ============================================
+// English Text Normalizer - spells out numbers, currencies, percentages,
+// times, dates, units and Roman chapter numbers before they reach the
+// model. Pure string functions: no DOM, no ONNX.
+// ============================================
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion'];
+
+const ORDINAL_EXCEPTIONS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth',
+    eight: 'eighth', nine: 'ninth', twelve: 'twelfth'
+};
+
+const MONTHS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+const MONTH_ABBREVIATIONS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7,
+    sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+// Only abbreviations take a dot, so "of July." keeps its full stop
+const MONTH_PATTERN = '(January|February|March|April|May|June|July|August|September|October|November|December|(?:Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec)\\.?)';
+
+// Symbol -> [singular, plural, minor singular, minor plural]
+const CURRENCIES = {
+    '$': ['dollar', 'dollars', 'cent', 'cents'],
+    '£': ['pound', 'pounds', 'penny', 'pence'],
+    '€': ['euro', 'euros', 'cent', 'cents'],
+    '¥': ['yen', 'yen', null, null]
+};
+const MAGNITUDES = { k: 'thousand', m: 'million', bn: 'billion', thousand: 'thousand', million: 'million', billion: 'billion', trillion: 'trillion' };
+
+// Abbreviation -> [singular, plural]. Case-sensitive; longer forms first.
+const UNITS = {
+    'km²': ['square kilometer', 'square kilometers'],
+    'm²': ['square meter', 'square meters'],
+    'cm²': ['square centimeter', 'square centimeters'],
+    'mm²': ['square millimeter', 'square millimeters'],
+    'mi²': ['square mile', 'square miles'],
+    'ft²': ['square foot', 'square feet'],
+    'm³': ['cubic meter', 'cubic meters'],
+    'cm³': ['cubic centimeter', 'cubic centimeters'],
+    'ft³': ['cubic foot', 'cubic feet'],
+    'km/h': ['kilometer per hour', 'kilometers per hour'],
+    'm/s': ['meter per second', 'meters per second'],
+    'mph': ['mile per hour', 'miles per hour'],
+    'kph': ['kilometer per hour', 'kilometers per hour'],
+    'km': ['kilometer', 'kilometers'],
+    'cm': ['centimeter', 'centimeters'],
+    'mm': ['millimeter', 'millimeters'],
+    'm': ['meter', 'meters'],
+    'mi': ['mile', 'miles'],
+    'ft': ['foot', 'feet'],
+    'yd': ['yard', 'yards'],
+    'kg': ['kilogram', 'kilograms'],
+    'mg': ['milligram', 'milligrams'],
+    'g': ['gram', 'grams'],
+    'lbs': ['pound', 'pounds'],
+    'lb': ['pound', 'pounds'],
+    'oz': ['ounce', 'ounces'],
+    'ml': ['milliliter', 'milliliters'],
+    'mL': ['milliliter', 'milliliters'],
+    'L': ['liter', 'liters'],
+    'hrs': ['hour', 'hours'],
+    'hr': ['hour', 'hours'],
+    'h': ['hour', 'hours'],
+    'min': ['minute', 'minutes'],
+    'sec': ['second', 'seconds'],
+    'ms': ['millisecond', 'milliseconds'],
+    'kHz': ['kilohertz', 'kilohertz'],
+    'MHz': ['megahertz', 'megahertz'],
+    'GHz': ['gigahertz', 'gigahertz'],
+    'Hz': ['hertz', 'hertz'],
+    'kW': ['kilowatt', 'kilowatts'],
+    'W': ['watt', 'watts'],
+    'V': ['volt', 'volts'],
+    'KB': ['kilobyte', 'kilobytes'],
+    'MB': ['megabyte', 'megabytes'],
+    'GB': ['gigabyte', 'gigabytes'],
+    'TB': ['terabyte', 'terabytes'],
+    '°C': ['degree Celsius', 'degrees Celsius'],
+    '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+    '°': ['degree', 'degrees']
+};
+
+// Precomposed fractions -> [numerator, singular denominator, plural denominator]
+const VULGAR_FRACTIONS = {
+    '½': [1, 'half', 'halves'],
+    '⅓': [1, 'third', 'thirds'],
+    '⅔': [2, 'third', 'thirds'],
+    '¼': [1, 'quarter', 'quarters'],
+    '¾': [3, 'quarter', 'quarters'],
+    '⅕': [1, 'fifth', 'fifths'],
+    '⅖': [2, 'fifth', 'fifths'],
+    '⅗': [3, 'fifth', 'fifths'],
+    '⅘': [4, 'fifth', 'fifths'],
+    '⅙': [1, 'sixth', 'sixths'],
+    '⅚': [5, 'sixth', 'sixths'],
+    '⅛': [1, 'eighth', 'eighths'],
+    '⅜': [3, 'eighth', 'eighths'],
+    '⅝': [5, 'eighth', 'eighths'],
+    '⅞': [7, 'eighth', 'eighths']
+};
+const FRACTION_CHARS = Object.keys(VULGAR_FRACTIONS).join('');
+
+// Anything for the passes below to do
+const NORMALIZABLE = new RegExp(`\\d|\\b[IVXLCDM]+\\b|[${FRACTION_CHARS}]`);
+
+// Words after which a Roman numeral is a number ("Chapter IV"), matched as
+// written or in capitals, so "the book I loved" keeps its pronoun
+const ROMAN_CONTEXT_WORDS = ['Chapter', 'Book', 'Part', 'Volume', 'Vol.', 'Act', 'Scene', 'Section', 'Canto', 'Appendix'];
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+
+// Words before a four-digit number that make it a year ("in 1984")
+const YEAR_CONTEXT = /\b(in|since|from|until|till|by|of|circa|c\.|year|early|late|mid|summer|winter|spring|autumn|fall|during|before|after|AD|BC|January|February|March|April|May|June|July|August|September|October|November|December)\s+$/i;
+
+const escapeRegExp = (string) => string.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// A digit group: "1,250", "1250" or "0.5" style integer part
+const INTEGER = '\\d{1,3}(?:,\\d{3})+|\\d+';
+
+// ============================================
+// Number words
+// ============================================
+function belowThousand(n) {
+    const words = [];
+    if (n >= 100) {
+        words.push(ONES[Math.floor(n / 100)], 'hundred');
+        n %= 100;
+    }
+    if (n >= 20) {
+        words.push(TENS[Math.floor(n / 10)] + (n % 10 ? '-' + ONES[n % 10] : ''));
+    } else if (n > 0) {
+        words.push(ONES[n]);
+    }
+    return words.join(' ');
+}
+
+/**
+ * Cardinal words for a non-negative integer ("1250" -> "one thousand two
+ * hundred fifty"). Very long numbers are read digit by digit.
+ */
+export function numberToWords(value) {
+    const digits = String(value).replace(/,/g, '');
+    if (digits.length > 15) return readDigits(digits);
+
+    let n = Number(digits);
+    if (n === 0) return 'zero';
+
+    const groups = [];
+    for (let scale = 0; n > 0; scale++) {
+        const group = n % 1000;
+        if (group > 0) groups.unshift(belowThousand(group) + (SCALES[scale] ? ' ' + SCALES[scale] : ''));
+        n = Math.floor(n / 1000);
+    }
+    return groups.join(' ');
+}
+
+/**
+ * Ordinal words ("21" -> "twenty-first")
+ */
+export function ordinalToWords(value) {
+    return toOrdinal(numberToWords(value));
+}
+
+function toOrdinal(words) {
+    return words.replace(/([a-z]+)$/, (last) => {
+        if (ORDINAL_EXCEPTIONS[last]) return ORDINAL_EXCEPTIONS[last];
+        if (last.endsWith('y')) return last.slice(0, -1) + 'ieth';
+        return last + 'th';
+    });
+}
+
+// "½" -> "one half"; after a whole number "and a half" ("1½")
+function fractionToWords(char, afterWhole = false) {
+    const [numerator, one, many] = VULGAR_FRACTIONS[char];
+    if (numerator === 1) return `${afterWhole ? 'a' : 'one'} ${one}`;
+    return `${numberToWords(numerator)} ${many}`;
+}
+
+function readDigits(digits) {
+    return [...digits].map(d => ONES[Number(d)]).join(' ');
+}
+
+// "3.14" -> "three point one four"; "0.5" -> "zero point five"
+function decimalToWords(integer, fraction) {
+    const words = numberToWords(integer);
+    return fraction ? `${words} point ${readDigits(fraction)}` : words;
+}
+
+/**
+ * Year reading: 1984 -> "nineteen eighty-four", 1905 -> "nineteen oh five",
+ * 1900 -> "nineteen hundred", 2005 -> "two thousand five"
+ */
+export function yearToWords(year) {
+    year = Number(year);
+    if (year < 1000 || year > 9999) return numberToWords(year);
+    if (year >= 2000 && year < 2010) return numberToWords(year);
+
+    const century = Math.floor(year / 100);
+    const rest = year % 100;
+    if (rest === 0) return `${numberToWords(century)} hundred`;
+    return `${numberToWords(century)} ${rest < 10 ? 'oh ' + ONES[rest] : numberToWords(rest)}`;
+}
+
+function pluralize(words) {
+    return words.replace(/([a-z]+)$/, (last) => last.endsWith('y') ? last.slice(0, -1) + 'ies' : last + 's');
+}
+
+// Only canonical numerals count ("IV", not "IIII" or the word "MIX")
+function romanToNumber(numeral) {
+    let total = 0;
+    for (let i = 0; i < numeral.length; i++) {
+        const value = ROMAN_VALUES[numeral[i]];
+        const next = ROMAN_VALUES[numeral[i + 1]] || 0;
+        total += value < next ? -value : value;
+    }
+    return toRoman(total) === numeral ? total : null;
+}
+
+function toRoman(n) {
+    const table = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+        [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let out = '';
+    for (const [value, symbol] of table) {
+        while (n >= value) {
+            out += symbol;
+            n -= value;
+        }
+    }
+    return out;
+}
+
+function monthIndex(name) {
+    const key = name.toLowerCase().replace('.', '');
+    const full = MONTHS.findIndex(month => month.toLowerCase() === key);
+    return full >= 0 ? full : MONTH_ABBREVIATIONS[key];
+}
+
+function isValidDate(month, day) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+// ============================================
+// Normalization passes (order matters: each consumes its digits)
+// ============================================
+function normalizeCurrency(text) {
+    const symbols = Object.keys(CURRENCIES).map(escapeRegExp).join('');
+    const pattern = new RegExp(`([${symbols}])\\s?(${INTEGER})(?:\\.(\\d+))?(?:\\s?(thousand|million|billion|trillion|bn|k|m)\\b)?`, 'gi');
+
+    return text.replace(pattern, (match, symbol, integer, fraction, magnitude) => {
+        const [one, many, minorOne, minorMany] = CURRENCIES[symbol];
+
+        if (magnitude) {
+            return `${decimalToWords(integer, fraction)} ${MAGNITUDES[magnitude.toLowerCase()]} ${many}`;
+        }
+
+        const whole = Number(integer.replace(/,/g, ''));
+        if (fraction && (fraction.length > 2 || !minorOne)) {
+            return `${decimalToWords(integer, fraction)} ${many}`;
+        }
+
+        const minor = fraction ? Number(fraction.padEnd(2, '0')) : 0;
+        const major = `${numberToWords(integer)} ${whole === 1 ? one : many}`;
+        if (!minor) return major;
+
+        const minorWords = `${numberToWords(minor)} ${minor === 1 ? minorOne : minorMany}`;
+        return whole === 0 ? minorWords : `${major} and ${minorWords}`;
+    });
+}
+
+function normalizePercentages(text) {
+    return text.replace(new RegExp(`(${INTEGER})(?:\\.(\\d+))?\\s?%`, 'g'),
+        (match, integer, fraction) => `${decimalToWords(integer, fraction)} percent`);
+}
+
+/**
+ * Spoken date from numeric parts (month 1-12); any part may be missing.
+ * { year: 2024, month: 3, day: 15 } -> "March fifteenth, twenty twenty-four".
+ * Returns null if the month or day is out of range.
+ */
+export function dateToWords({ year = null, month = null, day = null }) {
+    if (month !== null && (month < 1 || month > 12)) return null;
+    if (day !== null && (day < 1 || day > 31)) return null;
+
+    const parts = [];
+    if (month !== null) parts.push(MONTHS[month - 1]);
+    if (day !== null) parts.push(month !== null ? ordinalToWords(day) : `the ${ordinalToWords(day)}`);
+    const date = parts.join(' ');
+    if (year === null) return date || null;
+    return date ? `${date}, ${yearToWords(year)}` : yearToWords(year);
+}
+
+function normalizeDates(text, dateOrder) {
+    const dayWords = (day) => ordinalToWords(Number(day));
+
+    // ISO: 2024-03-15
+    text = text.replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+        dateToWords({ year: Number(year), month: Number(month), day: Number(day) }) ?? match);
+
+    // Numeric: 03/15/2024 (or 15/03/2024 with dateOrder 'dmy')
+    text = text.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, (match, a, b, year) => {
+        const [month, day] = dateOrder === 'dmy' ? [Number(b), Number(a)] : [Number(a), Number(b)];
+        return dateToWords({ year: Number(year), month, day }) ?? match;
+    });
+
+    // March 15, 2024 / March 15th / Mar. 15
+    text = text.replace(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4})\\b)?`, 'g'), (match, month, day, year) => {
+        if (!isValidDate(1, Number(day))) return match;
+        const date = `${MONTHS[monthIndex(month)]} ${dayWords(day)}`;
+        return year ? `${date}, ${yearToWords(year)}` : date;
+    });
+
+    // 15 March 2024 / 15th of March / the 4th of July
+    text = text.replace(new RegExp(`\\b(?:([Tt]he)\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4})\\b)?`, 'g'), (match, the, day, month, year) => {
+        if (!isValidDate(1, Number(day))) return match;
+        const date = `${the || 'the'} ${dayWords(day)} of ${MONTHS[monthIndex(month)]}`;
+        return year ? `${date}, ${yearToWords(year)}` : date;
+    });
+
+    // Decades: 1980s, the 20s
+    text = text.replace(/\b(1[1-9]\d0|20\d0|[1-9]0)s\b/g, (match, decade) =>
+        pluralize(decade.length === 4 ? yearToWords(decade) : numberToWords(decade)));
+
+    // Year ranges: 1939-1945
+    text = text.replace(/\b(1\d{3}|20\d{2})\s?[-–]\s?(1\d{3}|20\d{2})\b/g, (match, from, to) => {
+        if (Number(to) <= Number(from)) return match;
+        return `${yearToWords(from)} to ${yearToWords(to)}`;
+    });
+
+    return text;
+}
+
+// A trailing "m." is only eaten mid-sentence, so sentence ends survive
+const MERIDIEM = '([AaPp])\\.?\\s?[Mm]\\b(?:\\.(?=\\s+[a-z]))?';
+
+function normalizeTimes(text) {
+    // Durations: 1:02:03
+    text = text.replace(/(?<![:\d])\b(\d{1,2}):([0-5]\d):([0-5]\d)\b(?!:\d)/g, (match, h, m, sec) => {
+        const parts = [[h, 'hour'], [m, 'minute'], [sec, 'second']]
+            .filter(([value]) => Number(value) > 0)
+            .map(([value, unit]) => `${numberToWords(Number(value))} ${unit}${Number(value) === 1 ? '' : 's'}`);
+        if (parts.length === 0) return 'zero seconds';
+        return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+    });
+
+    // 10:45, 7:05 pm, 14:30; not part of a longer h:mm:ss run
+    text = text.replace(new RegExp(String.raw`(?<![:\d])\b([01]?\d|2[0-3]):([0-5]\d)(?!:?\d)(?:\s?${MERIDIEM})?`, 'g'), (match, hour, minute, meridiem) => {
+        const h = Number(hour);
+        const m = Number(minute);
+        let words = numberToWords(h);
+        if (m === 0) {
+            words += meridiem || h > 12 ? (meridiem ? '' : ' hundred') : " o'clock";
+        } else {
+            words += ' ' + (m < 10 ? 'oh ' + ONES[m] : numberToWords(m));
+        }
+        return meridiem ? `${words} ${meridiem.toLowerCase()} m` : words;
+    });
+
+    // 7pm, 11 a.m.
+    return text.replace(new RegExp(String.raw`\b(1[0-2]|0?[1-9])\s?${MERIDIEM}`, 'g'),
+        (match, hour, meridiem) => `${numberToWords(Number(hour))} ${meridiem.toLowerCase()} m`);
+}
+
+function normalizeOrdinals(text) {
+    return text.replace(/\b(\d{1,3}(?:,\d{3})*|\d+)(st|nd|rd|th)\b/g, (match, number) => ordinalToWords(number));
+}
+
+// Versions, addresses and section numbers ("2.0.1", "3.2.1"), part by part
+function normalizeDottedNumbers(text) {
+    return text.replace(/(^|[^\w.,])(\d+(?:\.\d+){2,})(?![\w]|\.\d)/g, (match, before, token) =>
+        before + token.split('.').map(part => /^0\d/.test(part) ? readDigits(part) : numberToWords(part)).join(' point '));
+}
+
+function normalizeUnits(text) {
+    const units = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+    const pattern = new RegExp(`(^|[^\\w.,])(-?)(?:(${INTEGER})(?:\\.(\\d+))?([${FRACTION_CHARS}])?|([${FRACTION_CHARS}]))(\\s?|-)(${units})(?![\\w/])`, 'g');
+
+    return text.replace(pattern, (match, before, minus, integer, fraction, vulgar, vulgarOnly, joiner, unit, offset, whole) => {
+        const [one, many] = UNITS[unit];
+        const sign = minus ? 'minus ' : '';
+
+        // "½ km" -> "one half of a kilometer"
+        if (vulgarOnly) return `${before}${sign}${fractionToWords(vulgarOnly)} of a ${one}`;
+
+        let value = sign + decimalToWords(integer, fraction);
+        if (vulgar) value += ` and ${fractionToWords(vulgar, true)}`;
+        // Before a noun the unit is singular: "a 3 g sample", "a 10-km run"
+        const modifier = joiner === '-' || /\b[Aa]n?\s+$/.test(whole.slice(0, offset + before.length));
+        const singular = modifier || (!fraction && !vulgar && !minus && integer === '1');
+        return `${before}${value}${joiner === '-' ? '-' : ' '}${singular ? one : many}`;
+    });
+}
+
+// "1½" -> "one and a half", "¾" -> "three quarters"
+function normalizeFractions(text) {
+    const pattern = new RegExp(`(^|[^\\w.,])(?:(${INTEGER})\\s?)?([${FRACTION_CHARS}])`, 'g');
+    return text.replace(pattern, (match, before, integer, char) => integer
+        ? `${before}${numberToWords(integer)} and ${fractionToWords(char, true)}`
+        : `${before}${fractionToWords(char)}`);
+}
+
+function normalizeRomanNumerals(text) {
+    const words = ROMAN_CONTEXT_WORDS.flatMap(word => [word, word.toUpperCase()]).map(escapeRegExp).join('|');
+    const pattern = new RegExp(`\\b(${words})([ \\t]+)([IVXLCDM]+)\\b`, 'g');
+    return text.replace(pattern, (match, word, space, numeral, offset, whole) => {
+        // A lone "I" may still be the pronoun ("Act I cried"): only a heading,
+        // alone on its line or followed by a colon, counts
+        if (numeral === 'I') {
+            const lineStart = /(^|\n)[ \t]*$/.test(whole.slice(0, offset));
+            const after = whole.slice(offset + match.length);
+            const headingEnd = /^[ \t]*(:|\.?[ \t]*(\n|$))/.test(after);
+            if (!lineStart && !headingEnd) return match;
+        }
+        const value = romanToNumber(numeral);
+        return value ? `${word}${space}${numberToWords(value)}` : match;
+    });
+}
+
+function normalizeYears(text) {
+    return text.replace(/\b(1[1-9]\d{2}|20\d{2})\b/g, (match, year, offset, whole) => {
+        const before = whole.slice(Math.max(0, offset - 24), offset);
+        const after = whole.slice(offset + match.length);
+        const isYear = YEAR_CONTEXT.test(before)
+            || /^\s*(BC|AD|BCE|CE)\b/.test(after)
+            || /^\s*([.,;:!?)\]]|$)/.test(after) && !/[$£€¥#]\s*$/.test(before);
+        return isYear ? yearToWords(year) : match;
+    });
+}
+
+function normalizeNumbers(text) {
+    const pattern = new RegExp(`(^|[^\\w.,])(-)?(${INTEGER})(?:\\.(\\d+))?(?![\\w])`, 'g');
+    return text.replace(pattern, (match, before, minus, integer, fraction) => {
+        // Only a sign when it starts a word ("-5", not "COVID-19")
+        const sign = minus && /^$|[\s(]$/.test(before) ? 'minus ' : (minus || '');
+        // Leading zeros are read digit by digit ("007")
+        const words = /^0\d/.test(integer) ? readDigits(integer) : decimalToWords(integer, fraction);
+        return `${before}${sign}${words}`;
+    });
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Spell out the numbers in English text so the model reads them naturally.
+ * options: { dateOrder: 'mdy' | 'dmy' } for numeric dates like 03/04/2024
+ */
+export function normalizeText(text, { dateOrder = 'mdy' } = {}) {
+    if (!NORMALIZABLE.test(text)) return text;
+
+    text = normalizeDottedNumbers(text);
+    text = normalizeCurrency(text);
+    text = normalizePercentages(text);
+    text = normalizeDates(text, dateOrder);
+    text = normalizeTimes(text);
+    text = normalizeOrdinals(text);
+    text = normalizeUnits(text);
+    text = normalizeFractions(text);
+    text = normalizeRomanNumerals(text);
+    text = normalizeYears(text);
+    text = normalizeNumbers(text);
+    return text;
+}
@@ -0,0 +1,347 @@
+// ============================================
+// Ogg Opus Export - speech-sized files via WebCodecs Opus,
+// resampled to 48 kHz, with Vorbis-comment tags
+// ============================================
+
+import { vorbisCommentBody, bookCommentFields, pictureBlock, toBase64 } from './vorbis-comment.js';
+
+const OPUS_SAMPLE_RATE = 48000;
+const DEFAULT_PRE_SKIP = 312; // libopus lookahead at 48 kHz
+const MAX_ENCODE_QUEUE = 32;
+
+// Bitrates offered for narration (kbps)
+export const OPUS_BITRATES = [16, 24, 32, 48];
+
+// Ogg pages are closed once their body reaches this size
+const PAGE_TARGET_BYTES = 4096;
+
+// Flush finished pages into a Blob every few MB so the browser can page them out
+const PART_FLUSH_BYTES = 8 * 1024 * 1024;
+
+// ============================================
+// Resampler - streaming polyphase windowed-sinc
+// ============================================
+function gcd(a, b) {
+    while (b) [a, b] = [b, a % b];
+    return a;
+}
+
+export class Resampler {
+    constructor(inRate, outRate, taps = 32) {
+        const g = gcd(inRate, outRate);
+        this.up = outRate / g;      // Phases per input sample
+        this.down = inRate / g;     // Phase advance per output sample
+        this.half = taps / 2;
+        this.history = new Float32Array(0);
+        this.index = 0;             // Input index (into history) of the next output
+        this.phase = 0;             // Fractional position, in 1/up steps
+
+        // Low-pass at the lower Nyquist; one Hann-windowed sinc per phase,
+        // normalized for unity DC gain
+        const cutoff = Math.min(1, outRate / inRate);
+        this.table = new Float32Array(this.up * taps);
+        for (let p = 0; p < this.up; p++) {
+            let sum = 0;
+            for (let k = 0; k < taps; k++) {
+                const x = (k - this.half + 1) - p / this.up;
+                const arg = Math.PI * cutoff * x;
+                const sinc = x === 0 ? 1 : Math.sin(arg) / arg;
+                const window = Math.abs(x) < this.half ? 0.5 * (1 + Math.cos(Math.PI * x / this.half)) : 0;
+                const h = sinc * window;
+                this.table[p * taps + k] = h;
+                sum += h;
+            }
+            for (let k = 0; k < taps; k++) this.table[p * taps + k] /= sum;
+        }
+    }
+
+    process(input) {
+        const taps = this.half * 2;
+        const buf = new Float32Array(this.history.length + input.length);
+        buf.set(this.history);
+        buf.set(input, this.history.length);
+
+        const out = new Float32Array(Math.ceil((buf.length - this.index) * this.up / this.down) + 1);
+        let count = 0;
+
+        while (this.index + this.half < buf.length) {
+            const base = this.phase * taps;
+            const start = this.index - this.half + 1;
+            let sum = 0;
+            for (let k = 0; k < taps; k++) {
+                const idx = start + k;
+                if (idx >= 0) sum += buf[idx] * this.table[base + k];
+            }
+            out[count++] = sum;
+
+            this.phase += this.down;
+            while (this.phase >= this.up) {
+                this.phase -= this.up;
+                this.index++;
+            }
+        }
+
+        // Keep only the history the next output still needs
+        const keep = Math.max(0, Math.min(buf.length, this.index - this.half + 1));
+        this.history = buf.slice(keep);
+        this.index -= keep;
+
+        return out.subarray(0, count);
+    }
+
+    // Push trailing zeros so the last input samples reach the output
+    flush() {
+        return this.process(new Float32Array(this.half));
+    }
+}
+
+// ============================================
+// Ogg container
+// ============================================
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let r = i << 24;
+        for (let j = 0; j < 8; j++) {
+            r = (r & 0x80000000) ? (r << 1) ^ 0x04C11DB7 : r << 1;
+        }
+        table[i] = r >>> 0;
+    }
+    return table;
+})();
+
+function oggCrc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+    }
+    return crc;
+}
+
+const HEADER_CONTINUED = 0x01;
+const HEADER_BOS = 0x02;
+const HEADER_EOS = 0x04;
+
+/**
+ * Packs packets into Ogg pages for a single logical stream
+ */
+class OggWriter {
+    constructor(serial) {
+        this.serial = serial;
+        this.sequence = 0;
+        this.parts = [];
+        this.finished = [];
+        this.finishedBytes = 0;
+        this.resetPage();
+    }
+
+    resetPage() {
+        this.lacing = [];
+        this.body = [];
+        this.bodyBytes = 0;
+        this.granule = -1n;        // -1: no packet ends on this page
+        this.continued = false;
+    }
+
+    writePacket(packet, granule, { flush = false } = {}) {
+        if (this.bodyBytes >= PAGE_TARGET_BYTES) this.emitPage();
+
+        let offset = 0;
+        while (true) {
+            const remaining = packet.length - offset;
+            const full = Math.floor(remaining / 255);
+            const room = 255 - this.lacing.length;
+
+            if (full < room) {
+                // Packet ends on this page with a 0..254 byte segment
+                for (let i = 0; i < full; i++) this.lacing.push(255);
+                this.lacing.push(remaining - full * 255);
+                this.body.push(packet.subarray(offset));
+                this.bodyBytes += remaining;
+                this.granule = BigInt(granule);
+                break;
+            }
+
+            // Segment table full mid-packet: continue on the next page
+            for (let i = 0; i < room; i++) this.lacing.push(255);
+            this.body.push(packet.subarray(offset, offset + room * 255));
+            this.bodyBytes += room * 255;
+            offset += room * 255;
+            this.emitPage();
+            this.continued = true;
+        }
+
+        if (flush) this.emitPage();
+    }
+
+    emitPage(eos = false) {
+        if (this.lacing.length === 0 && !eos) return;
+
+        const header = new Uint8Array(27 + this.lacing.length);
+        const view = new DataView(header.buffer);
+        header.set([0x4F, 0x67, 0x67, 0x53]); // 'OggS'
+        header[4] = 0;
+        header[5] = (this.continued ? HEADER_CONTINUED : 0) | (this.sequence === 0 ? HEADER_BOS : 0) | (eos ? HEADER_EOS : 0);
+        view.setBigInt64(6, this.granule, true);
+        view.setUint32(14, this.serial, true);
+        view.setUint32(18, this.sequence++, true);
+        header[26] = this.lacing.length;
+        header.set(this.lacing, 27);
+
+        const page = new Uint8Array(header.length + this.bodyBytes);
+        page.set(header);
+        let offset = header.length;
+        for (const part of this.body) {
+            page.set(part, offset);
+            offset += part.length;
+        }
+        new DataView(page.buffer).setUint32(22, oggCrc(page), true);
+
+        this.finished.push(page);
+        this.finishedBytes += page.length;
+        if (this.finishedBytes >= PART_FLUSH_BYTES) {
+            this.parts.push(new Blob(this.finished));
+            this.finished = [];
+            this.finishedBytes = 0;
+        }
+        this.resetPage();
+    }
+
+    // Close the stream; the last page carries the end-trimmed granule position
+    finish(finalGranule) {
+        if (this.lacing.length > 0) this.granule = BigInt(finalGranule);
+        this.emitPage(true);
+        if (this.finished.length > 0) this.parts.push(new Blob(this.finished));
+        return this.parts;
+    }
+}
+
+// ============================================
+// Opus headers
+// ============================================
+function opusHead(preSkip, inputSampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'));
+    head[8] = 1;                               // Version
+    head[9] = 1;                               // Mono
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true); // Informational only
+    view.setInt16(16, 0, true);                // Output gain
+    head[18] = 0;                              // Mapping family
+    return head;
+}
+
+function opusTags(fields) {
+    const magic = new TextEncoder().encode('OpusTags');
+    const body = vorbisCommentBody('Lumina Audiobooks', fields);
+    const tags = new Uint8Array(magic.length + body.length);
+    tags.set(magic);
+    tags.set(body, magic.length);
+    return tags;
+}
+
+// Encoder-provided OpusHead (carries the real pre-skip), if any
+function parseOpusHead(description) {
+    if (!description) return null;
+    const bytes = new Uint8Array(description.buffer ? description.buffer.slice(description.byteOffset, description.byteOffset + description.byteLength) : description);
+    if (bytes.length < 19 || new TextDecoder().decode(bytes.subarray(0, 8)) !== 'OpusHead') return null;
+    return new DataView(bytes.buffer).getUint16(10, true);
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Encode PCM chunks into an Ogg Opus Blob.
+ * `chunks` is an (async) iterable of { pcm: Int16Array }.
+ * options: { sampleRate, bitrate (kbps), title, author, album,
+ *            markers: [{ title, start }] (start in input samples), cover }
+ */
+export async function encodeOggOpus(chunks, options) {
+    const { sampleRate, bitrate = 24, title = null, author = null, album = null, markers = [], cover = null } = options;
+
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('Opus export needs WebCodecs (AudioEncoder), which this browser does not support');
+    }
+
+    const config = { codec: 'opus', sampleRate: OPUS_SAMPLE_RATE, numberOfChannels: 1, bitrate: bitrate * 1000 };
+    const support = await AudioEncoder.isConfigSupported(config);
+    if (!support.supported) {
+        throw new Error('Opus encoding is not supported in this browser');
+    }
+
+    const fields = bookCommentFields({ title, author, album, markers, sampleRate });
+    if (cover?.data?.length) {
+        fields.push(['METADATA_BLOCK_PICTURE', toBase64(pictureBlock(cover))]);
+    }
+
+    // Headers go out with the first packet, once the encoder has told us
+    // its real pre-skip; audio pages then stream straight into Blob parts
+    const writer = new OggWriter((Math.random() * 0xFFFFFFFF) >>> 0);
+    let preSkip = null;
+    let granule = 0; // Samples from the start of the stream, pre-skip included (RFC 7845)
+    let encodeError = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            if (preSkip === null) {
+                preSkip = parseOpusHead(metadata?.decoderConfig?.description) ?? DEFAULT_PRE_SKIP;
+                writer.writePacket(opusHead(preSkip, sampleRate), 0, { flush: true });
+                writer.writePacket(opusTags(fields), 0, { flush: true });
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            granule += chunk.duration ? Math.round(chunk.duration * OPUS_SAMPLE_RATE / 1e6) : 960;
+            writer.writePacket(data, granule);
+        },
+        error: (err) => { encodeError = err; }
+    });
+    encoder.configure(config);
+
+    const resampler = new Resampler(sampleRate, OPUS_SAMPLE_RATE);
+    let inputSamples = 0;
+    let outputSamples = 0;
+
+    const encodeFloat = (samples) => {
+        if (samples.length === 0) return;
+        encoder.encode(new AudioData({
+            format: 'f32',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: 1,
+            numberOfFrames: samples.length,
+            timestamp: Math.round(outputSamples * 1e6 / OPUS_SAMPLE_RATE),
+            data: samples
+        }));
+        outputSamples += samples.length;
+    };
+
+    for await (const { pcm } of chunks) {
+        if (encodeError) break;
+
+        const floats = new Float32Array(pcm.length);
+        for (let i = 0; i < pcm.length; i++) floats[i] = pcm[i] / 32768;
+        encodeFloat(resampler.process(floats));
+        inputSamples += pcm.length;
+
+        while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encodeError) {
+            await new Promise(r => setTimeout(r, 0));
+        }
+    }
+    if (!encodeError) {
+        encodeFloat(resampler.flush());
+        await encoder.flush();
+    }
+    if (encoder.state !== 'closed') encoder.close();
+    if (encodeError) throw encodeError;
+    if (preSkip === null) return null;
+
+    // End-trim: the last granule marks the real end of the audio, when the
+    // encoder padded the final packet beyond it
+    const expectedSamples = Math.round(inputSamples * OPUS_SAMPLE_RATE / sampleRate);
+    const parts = writer.finish(Math.min(granule, preSkip + expectedSamples));
+
+    console.log(`Opus: ${(inputSamples / sampleRate / 60).toFixed(1)} min at ${bitrate} kbps, ${markers.length} chapters`);
+    return new Blob(parts, { type: 'audio/ogg; codecs=opus' });
+}
@@ -0,0 +1,285 @@
+// ============================================
+// Chunk Player - plays the generated audio chunk by chunk from storage,
+// while the rest is still being generated. Chunks are scheduled back to
+// back on the AudioContext a few seconds ahead, so they join without gaps.
+// If the next chunk has not been stored when the scheduled audio runs out,
+// playback pauses by itself and picks up again once enough is buffered.
+// Only the few chunks around the playhead are held in memory, so a whole
+// book plays and seeks without being loaded.
+// ============================================
+
+const SCHEDULE_AHEAD = 4;  // Seconds of audio queued on the AudioContext
+const RESUME_BUFFER = 3;   // Seconds buffered ahead before a stalled player resumes
+const START_DELAY = 0.05;  // Lead for the first chunk, so its start is not cut off
+const TICK_MS = 250;       // Background tabs run this at most once a second
+const CACHE_CHUNKS = 6;    // Loaded chunks kept for scheduling and short seeks back
+
+export class ChunkPlayer {
+    /**
+     * loadChunk(id) resolves to a chunk's samples (Float32Array, or null if
+     * it is gone, which plays as silence). onChange() is called whenever
+     * playing, stalled or ended changes.
+     */
+    constructor(audioContext, { sampleRate, loadChunk, onChange = () => {} }) {
+        this.context = audioContext;
+        this.sampleRate = sampleRate;
+        this.loadChunk = loadChunk;
+        this.onChange = onChange;
+
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = 256;
+        this.analyser.connect(audioContext.destination);
+
+        this.chunks = [];         // { id, length } in playback order; length is null until stored
+        this.indexOf = new Map(); // String(id) -> index in chunks
+        this.starts = [];         // First sample of each chunk of the ready run
+        this.readyCount = 0;      // Chunks stored without a gap from the start...
+        this.readySamples = 0;    // ...and their total length
+        this.knownCount = 0;      // Chunks stored, with or without gaps...
+        this.knownSamples = 0;    // ...and their total length
+        this.finished = false;    // No more chunks will be stored
+        this.cache = new Map();   // id -> Promise of samples, oldest first
+
+        this.isPlaying = false;
+        this.stalled = false;     // Paused by the player because the buffer ran dry
+        this.position = 0;        // Playhead in samples while not playing
+        this.sources = [];        // Scheduled AudioBufferSourceNodes
+        this.timer = null;
+        this.scheduling = false;
+        this.session = 0;         // Bumped on every start and stop; chunks loaded for an older one are dropped
+    }
+
+    /**
+     * The chunks to play, in order: [{ id, length }], with length null for
+     * those still to be stored (see markReady). With none pending the
+     * player is finished from the start.
+     */
+    setChunks(chunks) {
+        this.stop();
+        this.chunks = chunks.map(({ id }) => ({ id, length: null }));
+        this.indexOf = new Map(chunks.map(({ id }, i) => [String(id), i]));
+        this.starts = [];
+        this.readyCount = 0;
+        this.readySamples = 0;
+        this.knownCount = 0;
+        this.knownSamples = 0;
+        this.cache.clear();
+        this.finished = false;
+        for (const { id, length = null } of chunks) {
+            if (length !== null) this.markReady(id, length);
+        }
+        if (this.knownCount === this.chunks.length) this.finished = true;
+    }
+
+    // A chunk has been stored. Chunks may arrive in any order; only the run
+    // without gaps from the start can be played.
+    markReady(id, length) {
+        const index = this.indexOf.get(String(id));
+        if (index === undefined || this.chunks[index].length !== null) return;
+        this.chunks[index].length = length;
+        this.knownCount++;
+        this.knownSamples += length;
+
+        while (this.readyCount < this.chunks.length && this.chunks[this.readyCount].length !== null) {
+            this.starts.push(this.readySamples);
+            this.readySamples += this.chunks[this.readyCount].length;
+            this.readyCount++;
+        }
+        if (this.stalled && this.bufferedAhead >= RESUME_BUFFER) this.play();
+    }
+
+    // Generation is over; whatever is stored is all there will be
+    finish() {
+        this.finished = true;
+        if (!this.stalled) return;
+        if (this.position < this.readySamples) {
+            this.play();
+        } else {
+            // Ran dry right at the end: nothing more to wait for
+            this.stalled = false;
+            this.position = 0;
+            this.onChange();
+        }
+    }
+
+    // Seconds that can be played so far
+    get duration() {
+        return this.readySamples / this.sampleRate;
+    }
+
+    // Seconds once every chunk is stored, from the average stored chunk
+    get estimatedDuration() {
+        if (this.knownCount === 0) return 0;
+        return this.knownSamples / this.knownCount * this.chunks.length / this.sampleRate;
+    }
+
+    get currentTime() {
+        if (!this.isPlaying) return this.position / this.sampleRate;
+        const elapsed = Math.max(0, this.context.currentTime - this.startTime);
+        return Math.min(this.startPosition + elapsed * this.sampleRate, this.scheduledUntil) / this.sampleRate;
+    }
+
+    // Seconds stored ahead of the playhead
+    get bufferedAhead() {
+        return Math.max(0, this.duration - this.currentTime);
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        if (this.context.state === 'suspended') this.context.resume();
+
+        this.isPlaying = true;
+        this.stalled = false;
+        this.session++;
+        // Context time at which the sample at `startPosition` plays
+        this.startTime = this.context.currentTime + START_DELAY;
+        this.startPosition = this.position;
+        this.scheduledUntil = this.position;
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+        this.tick();
+        this.onChange();
+    }
+
+    // Move the playhead; past the audio stored so far it stops at its end
+    seek(seconds) {
+        const wasPlaying = this.isPlaying || this.stalled;
+        this.halt();
+        this.stalled = false;
+        this.position = Math.round(Math.max(0, Math.min(seconds, this.duration)) * this.sampleRate);
+        if (wasPlaying) this.play();
+        else this.onChange();
+    }
+
+    pause() {
+        this.halt();
+        this.stalled = false;
+        this.onChange();
+    }
+
+    stop() {
+        this.halt();
+        this.stalled = false;
+        this.position = 0;
+        this.onChange();
+    }
+
+    destroy() {
+        this.halt();
+        this.analyser.disconnect();
+    }
+
+    // Stop the scheduled audio and keep the playhead where it got to
+    halt() {
+        if (!this.isPlaying) return;
+        this.position = Math.round(this.currentTime * this.sampleRate);
+        this.isPlaying = false;
+        this.session++;
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const source of this.sources) {
+            source.onended = null;
+            source.stop();
+        }
+        this.sources = [];
+    }
+
+    // Context time at which the sample at `position` plays
+    timeOf(position) {
+        return this.startTime + (position - this.startPosition) / this.sampleRate;
+    }
+
+    async tick() {
+        if (!this.isPlaying || this.scheduling) return;
+        const session = this.session;
+        this.scheduling = true;
+        try {
+            while (this.session === session && this.scheduledUntil < this.readySamples &&
+                   this.timeOf(this.scheduledUntil) - this.context.currentTime < SCHEDULE_AHEAD) {
+                await this.scheduleNext(session);
+            }
+        } catch (err) {
+            console.error('Player: failed to load chunk:', err);
+            if (this.session === session) this.pause();
+            return;
+        } finally {
+            this.scheduling = false;
+        }
+        if (this.session !== session) return;
+
+        // Everything scheduled has been played
+        if (this.context.currentTime >= this.timeOf(this.scheduledUntil)) {
+            this.halt();
+            if (this.finished && this.readyCount === this.chunks.length) {
+                this.position = 0;
+                console.log('Player: ended');
+            } else {
+                this.stalled = true;
+                console.log(`Player: buffer ran dry at ${this.currentTime.toFixed(1)}s, waiting for more audio`);
+            }
+            this.onChange();
+        }
+    }
+
+    // Queue the chunk holding `scheduledUntil`, from that sample on
+    async scheduleNext(session) {
+        const index = this.chunkAt(this.scheduledUntil);
+        const { id, length } = this.chunks[index];
+        const offset = this.scheduledUntil - this.starts[index];
+
+        const data = await this.load(index);
+        if (this.session !== session) return;
+        const samples = data ? data.subarray(offset, length) : new Float32Array(length - offset);
+
+        const buffer = this.context.createBuffer(1, samples.length, this.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.analyser);
+
+        // A slow load may leave the previous chunk already finished: start
+        // this one a moment from now and move the clock with it
+        const now = this.context.currentTime;
+        if (this.timeOf(this.scheduledUntil) < now) {
+            this.startTime += now + START_DELAY - this.timeOf(this.scheduledUntil);
+        }
+        source.start(this.timeOf(this.scheduledUntil));
+        source.onended = () => {
+            this.sources = this.sources.filter(s => s !== source);
+        };
+        this.sources.push(source);
+        this.scheduledUntil += samples.length;
+
+        // Have the next one read by the time it is due
+        if (index + 1 < this.readyCount) this.load(index + 1).catch(() => {});
+    }
+
+    // Samples of chunk `index`, from the cache or storage
+    load(index) {
+        const { id } = this.chunks[index];
+        const key = String(id);
+        let promise = this.cache.get(key);
+        if (promise) {
+            this.cache.delete(key); // Re-inserted as the newest
+        } else {
+            promise = this.loadChunk(id);
+            promise.catch(() => this.cache.delete(key)); // Retried on the next attempt
+        }
+        this.cache.set(key, promise);
+        while (this.cache.size > CACHE_CHUNKS) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return promise;
+    }
+
+    // Index of the ready chunk holding sample `position`
+    chunkAt(position) {
+        let lo = 0;
+        let hi = this.readyCount - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.starts[mid] <= position) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+}
@@ -0,0 +1,110 @@
+// ============================================
+// Pre-flight Check - finds characters the model has no index for
+// (UnicodeProcessor maps them to -1, so they are silently garbled)
+// before a long conversion starts
+// ============================================
+
+// Readable stand-ins for common characters that NFKD leaves alone
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'Ae', 'œ': 'oe', 'Œ': 'Oe', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th',
+    'ı': 'i', 'ŋ': 'ng',
+    '“': '"', '”': '"', '„': '"', '«': '"', '»': '"', '‹': "'", '›': "'",
+    '…': '...', '•': ',', '·': ',', '§': 'section', '¶': ' ', '†': ' ', '‡': ' ',
+    '×': 'times', '÷': 'divided by', '±': 'plus or minus', '°': 'degrees',
+    '≈': 'about', '≠': 'not equal to', '≤': 'at most', '≥': 'at least'
+};
+
+const MAX_SAMPLES = 3;
+const CONTEXT_CHARS = 30;
+const LINES_PER_YIELD = 200;
+
+/**
+ * "U+00E9"
+ */
+export function formatCodePoint(char) {
+    return 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Suggested replacement for a character the model cannot speak: a known
+ * transliteration, the character without its accents, or a space
+ */
+export function suggestReplacement(char) {
+    if (char in TRANSLITERATIONS) return TRANSLITERATIONS[char];
+    const stripped = char.normalize('NFKD').replace(/\p{M}/gu, '');
+    if (stripped && stripped !== char && /^[\x20-\x7E]+$/.test(stripped)) return stripped;
+    return ' ';
+}
+
+function sampleContext(line, index, length) {
+    const start = Math.max(0, index - CONTEXT_CHARS);
+    const end = Math.min(line.length, index + length + CONTEXT_CHARS);
+    return {
+        before: (start > 0 ? '…' : '') + line.slice(start, index),
+        match: line.slice(index, index + length),
+        after: line.slice(index + length, end) + (end < line.length ? '…' : '')
+    };
+}
+
+/**
+ * Scan `text` line by line through `processor.preprocessText` (lexicon,
+ * normalizer and cleanup, exactly as before inference) and collect every
+ * character whose processed form the processor cannot index.
+ *
+ * Results are reported against the characters as written in the text, so
+ * "é" is listed rather than the combining accent NFKD splits off. Returns
+ * [{ char, codePoint, count, suggestion, samples: [{ offset, before, match, after }] }]
+ * sorted by count, most frequent first.
+ */
+export async function scanUnsupportedCharacters(text, processor, { onProgress = null, yieldFn = null } = {}) {
+    const found = new Map();
+
+    const record = (char, line, lineStart, index) => {
+        let entry = found.get(char);
+        if (!entry) {
+            entry = { char, codePoint: formatCodePoint(char), count: 0, suggestion: suggestReplacement(char), samples: [] };
+            found.set(char, entry);
+        }
+        entry.count++;
+        if (entry.samples.length < MAX_SAMPLES) {
+            entry.samples.push({ offset: lineStart + index, ...sampleContext(line, index, char.length) });
+        }
+    };
+
+    const lines = [...text.matchAll(/[^\n]+/g)];
+    for (let n = 0; n < lines.length; n++) {
+        const line = lines[n][0];
+        const lineStart = lines[n].index;
+
+        const unsupported = new Set();
+        for (const char of processor.preprocessText(line)) {
+            if (!processor.isSupported(char.codePointAt(0))) unsupported.add(char);
+        }
+
+        if (unsupported.size > 0) {
+            let matched = false;
+            for (let index = 0; index < line.length;) {
+                const char = String.fromCodePoint(line.codePointAt(index));
+                const parts = char.normalize('NFKD');
+                if (unsupported.has(char) || [...parts].some(part => unsupported.has(part))) {
+                    record(char, line, lineStart, index);
+                    matched = true;
+                }
+                index += char.length;
+            }
+            // Introduced by a replacement rather than written in the text
+            if (!matched) {
+                for (const char of unsupported) record(char, line, lineStart, 0);
+            }
+        }
+
+        if ((n + 1) % LINES_PER_YIELD === 0) {
+            if (onProgress) onProgress((n + 1) / lines.length);
+            if (yieldFn) await yieldFn();
+        }
+    }
+    if (onProgress) onProgress(1);
+
+    return [...found.values()].sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,155 @@
+// ============================================
+// Sentence Segmenter - splits text into sentences and model-sized chunks.
+// Shared by the app (chunks stored per paragraph) and the engine (chunks
+// sent to the model), so both agree on where sentences end.
+// ============================================
+
+// Longest text the model is given in one inference call
+export const MAX_CHUNK_CHARS = 300;
+
+// Words that end in a period without ending the sentence ("Dr. Watson").
+// Ones that often end a sentence, like "etc." or "p.m.", are left out on
+// purpose.
+export const DEFAULT_ABBREVIATIONS = [
+    'Mr', 'Mrs', 'Ms', 'Mx', 'Dr', 'Prof', 'Sr', 'Jr', 'St', 'Mt', 'Ft',
+    'Gen', 'Col', 'Capt', 'Lt', 'Sgt', 'Cpl', 'Adm', 'Gov', 'Sen', 'Rep', 'Rev', 'Hon', 'Fr', 'Sra', 'Mme', 'Mlle',
+    'Vol', 'Ch', 'Fig', 'Eq', 'pp', 'p', 'ca', 'cf', 'vs', 'approx', 'Ave', 'Blvd', 'Rd',
+    'e.g', 'i.e', 'Ph.D',
+    'Jan', 'Feb', 'Mar', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec'
+];
+
+// Clause boundaries preferred when a sentence has to be cut
+const CLAUSE_BREAK = /[,;:)\]—–]["'”’]?\s+/g;
+
+// Used where Intl.Segmenter is missing; keeps decimals ("3.50") together
+const FALLBACK_SENTENCE = /(?:[^.!?…]|\.(?=\d))+(?:[.!?…]+["'”’»)\]]*|$)\s*|[.!?…]+\s*/gu;
+
+const segmenters = new Map();
+
+function getSegmenter(locale) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') return null;
+    if (!segmenters.has(locale)) {
+        segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'sentence' }));
+    }
+    return segmenters.get(locale);
+}
+
+// "Mr" from "... said Mr. ", "U.S" from "the U.S. ", null if no period at the end
+function lastDottedWord(segment) {
+    const match = /(?:^|[^\p{L}.])([\p{L}.]*\p{L})\.\s*$/u.exec(segment);
+    return match ? match[1] : null;
+}
+
+// "J" of "J. R. R. Tolkien"; not the pronoun "I", which does end sentences
+function isInitial(word) {
+    return word !== 'I' && /^\p{Lu}$/u.test(word);
+}
+
+// "U.S", "p.m": may end a sentence, so only one followed by a capital is taken as the end
+function isInitialism(word) {
+    return /^(?:\p{L}\.)+\p{L}$/u.test(word);
+}
+
+// Continues the previous sentence: '"Stop!" he said', 'Wait... what?'
+function startsLowercase(segment) {
+    return /^[\s"'“‘«(\[]*\p{Ll}/u.test(segment);
+}
+
+function startsCapitalised(segment) {
+    return /^[\s"'“‘«(\[]*\p{Lu}/u.test(segment);
+}
+
+/**
+ * Split text into sentences. Pieces keep their trailing whitespace, so
+ * joining them gives back the original text.
+ *
+ * Intl.Segmenter finds the boundaries; a boundary is then dropped after
+ * an abbreviation or initials ("Dr.", "J. R. R."), after an initialism
+ * ("U.S.", "p.m.") unless a capitalised word follows, and before a
+ * sentence that starts lowercase (after a quoted exclamation or an ellipsis).
+ */
+export function splitSentences(text, { locale = 'en', abbreviations = DEFAULT_ABBREVIATIONS } = {}) {
+    const segmenter = getSegmenter(locale);
+    const pieces = segmenter
+        ? Array.from(segmenter.segment(text), part => part.segment)
+        : (text.match(FALLBACK_SENTENCE) || [text]);
+
+    const known = new Set(abbreviations);
+    const sentences = [];
+    for (const piece of pieces) {
+        const previous = sentences[sentences.length - 1];
+        if (previous !== undefined) {
+            const word = lastDottedWord(previous);
+            const continues = word && (known.has(word) || isInitial(word) ||
+                (isInitialism(word) && !startsCapitalised(piece)));
+            if (continues || startsLowercase(piece)) {
+                sentences[sentences.length - 1] = previous + piece;
+                continue;
+            }
+        }
+        sentences.push(piece);
+    }
+    return sentences;
+}
+
+/**
+ * Cut a run-on sentence into pieces of at most `maxChars`, preferring
+ * clause punctuation, then spaces, then a hard cut.
+ */
+export function splitLongSentence(sentence, maxChars = MAX_CHUNK_CHARS) {
+    const pieces = [];
+    let rest = sentence.trim();
+
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars + 1);
+        let cut = -1;
+
+        // Clause breaks in the back two thirds only, so pieces are not tiny
+        for (const match of window.matchAll(CLAUSE_BREAK)) {
+            const end = match.index + match[0].trimEnd().length;
+            if (end <= maxChars && end >= maxChars / 3) cut = end;
+        }
+        if (cut < 0) {
+            const space = window.lastIndexOf(' ');
+            cut = space > 0 ? space : maxChars;
+        }
+
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
+
+/**
+ * Split text into chunks of whole sentences of at most `maxChars` each.
+ * Chunks never span a paragraph (blank line); a single sentence longer
+ * than `maxChars` is cut with splitLongSentence. With `packSentences`
+ * false every sentence (or piece of one) is a chunk of its own.
+ */
+export function chunkText(text, { maxChars = MAX_CHUNK_CHARS, locale, abbreviations, packSentences = true } = {}) {
+    if (typeof text !== 'string') {
+        throw new Error(`chunkText expects a string, got ${typeof text}`);
+    }
+
+    const chunks = [];
+    for (const paragraph of text.split(/\n\s*\n+/)) {
+        let current = '';
+        for (const raw of splitSentences(paragraph.replace(/\s+/g, ' ').trim(), { locale, abbreviations })) {
+            const sentence = raw.trim();
+            if (!sentence) continue;
+
+            const pieces = sentence.length > maxChars ? splitLongSentence(sentence, maxChars) : [sentence];
+            for (const piece of pieces) {
+                if (current && packSentences && current.length + 1 + piece.length <= maxChars) {
+                    current += ' ' + piece;
+                } else {
+                    if (current) chunks.push(current);
+                    current = piece;
+                }
+            }
+        }
+        if (current) chunks.push(current);
+    }
+    return chunks;
+}
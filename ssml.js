@@ -0,0 +1,297 @@
+// ============================================
+// SSML Subset - <speak> markup with break, prosody rate, say-as, sub
+// and voice. Hand-rolled parser (no DOMParser) so it also runs in workers.
+// ============================================
+
+import { numberToWords, ordinalToWords, dateToWords } from './normalizer.js';
+import { splitSentences, MAX_CHUNK_CHARS } from './segmenter.js';
+
+// <break strength="..."> in seconds
+const BREAK_STRENGTHS = {
+    'none': 0,
+    'x-weak': 0.1,
+    'weak': 0.25,
+    'medium': 0.5,
+    'strong': 1,
+    'x-strong': 2
+};
+
+// <prosody rate="..."> keywords as speed multipliers
+const RATE_KEYWORDS = {
+    'x-slow': 0.5,
+    'slow': 0.75,
+    'medium': 1,
+    'default': 1,
+    'fast': 1.25,
+    'x-fast': 1.5
+};
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Comments, processing instructions, CDATA, tags, and text runs
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([A-Za-z][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Whether the text is an SSML document (starts with <speak>)
+ */
+export function isSSML(text) {
+    return /^\s*(<\?xml[\s\S]*?\?>\s*)?<speak[\s>]/.test(text);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[name.toLowerCase()] ?? match;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    for (const [, name, double, single] of source.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[name] = decodeEntities(double ?? single);
+    }
+    return attributes;
+}
+
+// "500ms", "1.5s", "2" (seconds); null if unreadable
+function parseTime(value) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)?\s*$/i.exec(value || '');
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return match[2]?.toLowerCase() === 'ms' ? amount / 1000 : amount;
+}
+
+// Rate relative to the enclosing one: keyword, "80%", "+20%", "-10%" or "1.2"
+function parseRate(value) {
+    const rate = (value || '').trim().toLowerCase();
+    if (rate in RATE_KEYWORDS) return RATE_KEYWORDS[rate];
+
+    const relative = /^([+-])(\d+(?:\.\d+)?)%$/.exec(rate);
+    if (relative) return 1 + (relative[1] === '-' ? -1 : 1) * parseFloat(relative[2]) / 100;
+
+    const percent = /^(\d+(?:\.\d+)?)%$/.exec(rate);
+    if (percent) return parseFloat(percent[1]) / 100;
+
+    const number = parseFloat(rate);
+    return Number.isFinite(number) && number > 0 ? number : 1;
+}
+
+function clampRate(rate) {
+    return Math.min(MAX_RATE, Math.max(MIN_RATE, rate));
+}
+
+// Spoken form of <say-as> content
+function interpret(text, interpretAs, format) {
+    const content = text.trim();
+    switch ((interpretAs || '').toLowerCase()) {
+        case 'characters':
+        case 'spell-out':
+        case 'verbatim':
+            return [...content.replace(/\s+/g, '')].join(' ');
+        case 'cardinal':
+        case 'number': {
+            const match = /^(-)?([\d,]+)(?:\.(\d+))?$/.exec(content);
+            if (!match) return content;
+            const words = numberToWords(match[2]) + (match[3] ? ' point ' + [...match[3]].map(d => numberToWords(d)).join(' ') : '');
+            return (match[1] ? 'minus ' : '') + words;
+        }
+        case 'ordinal': {
+            const digits = content.replace(/\D/g, '');
+            return digits ? ordinalToWords(digits) : content;
+        }
+        case 'date':
+            return interpretDate(content, format) ?? content;
+        default:
+            return content;
+    }
+}
+
+// Numeric dates by format: "mdy" (default), "dmy", "ymd", "md", "dm", "my", "ym", "y"...
+function interpretDate(content, format = 'mdy') {
+    const parts = content.split(/[-/.\s]+/).filter(Boolean).map(Number);
+    const order = (format || 'mdy').toLowerCase();
+    if (parts.length !== order.length || parts.some(isNaN)) return null;
+
+    const date = { year: null, month: null, day: null };
+    [...order].forEach((field, i) => {
+        if (field === 'y') date.year = parts[i];
+        else if (field === 'm') date.month = parts[i];
+        else if (field === 'd') date.day = parts[i];
+    });
+    return dateToWords(date);
+}
+
+/**
+ * Parse SSML into a flat list of segments:
+ *   { type: 'text', text, rate, voice }   rate is a speed multiplier, voice a style name or null
+ *   { type: 'break', seconds }
+ * Unknown elements are ignored but their text is kept. Throws on mismatched tags.
+ */
+export function parseSSML(ssml) {
+    const segments = [];
+    const stack = [{ name: null, rate: 1, voice: null }];
+    let capture = null; // Text collected inside <say-as> / <sub>
+
+    const pushText = (text) => {
+        if (!text) return;
+        if (capture) {
+            capture.text += text;
+            return;
+        }
+        const { rate, voice } = stack[stack.length - 1];
+        const last = segments[segments.length - 1];
+        if (last?.type === 'text' && last.rate === rate && last.voice === voice) {
+            last.text += text;
+        } else {
+            segments.push({ type: 'text', text, rate, voice });
+        }
+    };
+
+    for (const token of ssml.matchAll(TOKEN_PATTERN)) {
+        const [, cdata, closing, tagName, attributeSource, selfClosing, text, strayBracket] = token;
+
+        if (text !== undefined) {
+            pushText(decodeEntities(text));
+            continue;
+        }
+        if (cdata !== undefined) {
+            pushText(cdata);
+            continue;
+        }
+        if (strayBracket !== undefined) {
+            pushText('<');
+            continue;
+        }
+        if (!tagName) continue; // Comment or processing instruction
+
+        const name = tagName.toLowerCase();
+        const top = stack[stack.length - 1];
+
+        if (closing) {
+            if (top.name !== name) {
+                throw new Error(`Invalid SSML: </${tagName}> does not match <${top.name || 'nothing'}>`);
+            }
+            stack.pop();
+            if (top.capture) {
+                const spoken = top.capture.alias ?? interpret(top.capture.text, top.capture.interpretAs, top.capture.format);
+                capture = null;
+                pushText(spoken);
+            }
+            continue;
+        }
+
+        const attributes = parseAttributes(attributeSource || '');
+
+        const frame = { name, rate: top.rate, voice: top.voice };
+        if (name === 'break') {
+            const seconds = attributes.time !== undefined
+                ? parseTime(attributes.time)
+                : BREAK_STRENGTHS[attributes.strength || 'medium'];
+            if (!capture) segments.push({ type: 'break', seconds: seconds ?? BREAK_STRENGTHS.medium });
+        } else if (name === 'prosody' && attributes.rate !== undefined) {
+            frame.rate = clampRate(top.rate * parseRate(attributes.rate));
+        } else if (name === 'voice' && attributes.name) {
+            if (!/^[\w-]+$/.test(attributes.name)) {
+                throw new Error(`Invalid SSML: unsupported voice name "${attributes.name}"`);
+            }
+            frame.voice = attributes.name;
+        } else if ((name === 'say-as' || name === 'sub') && !capture) {
+            capture = frame.capture = {
+                text: '',
+                alias: name === 'sub' ? attributes.alias : undefined,
+                interpretAs: attributes['interpret-as'],
+                format: attributes.format
+            };
+        } else if ((name === 'p' || name === 's') && !capture) {
+            pushText(' ');
+        }
+
+        if (!selfClosing) stack.push(frame);
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Invalid SSML: <${stack[stack.length - 1].name}> is never closed`);
+    }
+    return segments;
+}
+
+function segmentToSSML(segment) {
+    if (segment.type === 'break') return `<break time="${Math.round(segment.seconds * 1000)}ms"/>`;
+
+    let markup = escapeText(segment.text);
+    if (segment.rate !== 1) markup = `<prosody rate="${Math.round(segment.rate * 100)}%">${markup}</prosody>`;
+    if (segment.voice) markup = `<voice name="${segment.voice}">${markup}</voice>`;
+    return markup;
+}
+
+/**
+ * Serialize segments back into a self-contained <speak> document
+ */
+export function segmentsToSSML(segments) {
+    return `<speak>${segments.map(segmentToSSML).join('')}</speak>`;
+}
+
+/**
+ * Silence to add after an SSML chunk from chunkSSML. A chunk that ends in
+ * a <break> already carries that exact pause, so it gets none; one split
+ * between sentences gets the usual `silenceDuration` gap.
+ */
+export function chunkPause(chunk, silenceDuration) {
+    const last = parseSSML(chunk).filter(segment => segment.type === 'break' || segment.text.trim()).pop();
+    return last?.type === 'break' ? 0 : silenceDuration;
+}
+
+/**
+ * Split an SSML document into self-contained <speak> chunks of about
+ * `maxChars` spoken characters, breaking between sentences. Each chunk
+ * carries its own voice and rate markup, so chunks convert independently.
+ */
+export function chunkSSML(ssml, maxChars = MAX_CHUNK_CHARS) {
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    const flush = () => {
+        const hasText = current.some(segment => segment.type === 'text' && segment.text.trim());
+        if (hasText) {
+            chunks.push(segmentsToSSML(current));
+        } else if (current.length > 0 && chunks.length > 0) {
+            // A trailing pause belongs to the chunk before it
+            const previous = chunks.pop();
+            chunks.push(previous.replace(/<\/speak>$/, current.map(segmentToSSML).join('') + '</speak>'));
+        }
+        current = [];
+        length = 0;
+    };
+
+    for (const segment of parseSSML(ssml)) {
+        if (segment.type === 'break') {
+            current.push(segment);
+            continue;
+        }
+
+        const sentences = splitSentences(segment.text);
+        for (const sentence of sentences) {
+            if (length > 0 && length + sentence.length > maxChars) flush();
+            const last = current[current.length - 1];
+            if (last?.type === 'text' && last.rate === segment.rate && last.voice === segment.voice) {
+                last.text += sentence;
+            } else {
+                current.push({ ...segment, text: sentence });
+            }
+            length += sentence.length;
+        }
+    }
+    flush();
+    return chunks;
+}
@@ -0,0 +1,33 @@
+// ============================================
+// Normalizer corpus - runs normalizeText over normalizer-corpus.json and
+// reports every case whose output differs from the expected one.
+//
+//   node test/normalizer-corpus.mjs
+//
+// Cases may give normalizeText options. Cases marked "pipeline" go through
+// UnicodeProcessor.preprocessText instead, to cover the steps around the
+// normalizer (NFKD and symbol clean-up). Exits with 1 if any case fails.
+// ============================================
+
+import { readFileSync } from 'node:fs';
+import { normalizeText } from '../normalizer.js';
+import { UnicodeProcessor } from '../helper.js';
+
+const corpus = JSON.parse(readFileSync(new URL('./normalizer-corpus.json', import.meta.url), 'utf8'));
+
+// preprocessText does not index, so no indexer is needed
+const processor = new UnicodeProcessor([]);
+
+let failures = 0;
+for (const { text, options = {}, pipeline = false, expected } of corpus) {
+    const got = pipeline ? processor.preprocessText(text) : normalizeText(text, options);
+    if (got !== expected) {
+        failures++;
+        console.log(`FAIL ${JSON.stringify(text)}`);
+        console.log(`  expected ${JSON.stringify(expected)}`);
+        console.log(`  got      ${JSON.stringify(got)}`);
+    }
+}
+
+console.log(`${corpus.length - failures}/${corpus.length} cases passed`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,38 @@
+// ============================================
+// Segmenter corpus - runs chunkText over segmenter-corpus.json and reports
+// every case whose chunks differ from the expected ones.
+//
+//   node test/segmenter-corpus.mjs              with Intl.Segmenter
+//   node test/segmenter-corpus.mjs --fallback   with the regex fallback
+//
+// Cases are split one sentence per chunk unless they give their own
+// chunkText options. Exits with 1 if any case fails.
+// ============================================
+
+import { readFileSync } from 'node:fs';
+
+if (process.argv.includes('--fallback')) delete Intl.Segmenter;
+const { chunkText, splitSentences } = await import('../segmenter.js');
+
+const corpus = JSON.parse(readFileSync(new URL('./segmenter-corpus.json', import.meta.url), 'utf8'));
+
+let failures = 0;
+for (const { text, options = {}, expected } of corpus) {
+    let failed = false;
+    const chunks = chunkText(text, { packSentences: false, ...options });
+    if (JSON.stringify(chunks) !== JSON.stringify(expected)) {
+        failed = true;
+        console.log(`FAIL ${JSON.stringify(text)}`);
+        console.log(`  expected ${JSON.stringify(expected)}`);
+        console.log(`  got      ${JSON.stringify(chunks)}`);
+    }
+    // Sentences keep their whitespace, so nothing may go missing
+    if (splitSentences(text).join('') !== text) {
+        failed = true;
+        console.log(`FAIL ${JSON.stringify(text)}: splitSentences lost text`);
+    }
+    if (failed) failures++;
+}
+
+console.log(`${corpus.length - failures}/${corpus.length} cases passed`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,120 @@
+// ============================================
+// SSML breaks - converts SSML documents chunk by chunk the way the app
+// does (chunkSSML, TextToSpeech.call, then each chunk's pause) and checks
+// that every <break time> comes out as exactly that much silence.
+//
+//   node test/ssml-breaks.mjs
+//
+// The models are stand-ins that "speak" a constant non-zero signal, so
+// any run of zero samples is a pause. Exits with 1 if any case fails.
+// ============================================
+
+import { readFileSync } from 'node:fs';
+
+// Tensor is all of ONNX Runtime that call() touches without real models
+class Tensor {
+    constructor(type, data, dims) {
+        this.type = type;
+        this.data = data;
+        this.dims = dims;
+    }
+}
+globalThis.ort = { Tensor, env: { wasm: {}, versions: {} } };
+const { TextToSpeech, UnicodeProcessor, Style } = await import('../helper.js');
+const { chunkSSML, chunkPause } = await import('../ssml.js');
+
+const readJSON = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const cfgs = readJSON('../assets/onnx/tts.json');
+const textProcessor = new UnicodeProcessor(readJSON('../assets/onnx/unicode_indexer.json'));
+
+// One second per 20 characters, so chunk lengths differ
+const durationPredictor = {
+    run: async ({ text_mask }) => ({
+        duration: { data: Float32Array.of(text_mask.data.reduce((sum, v) => sum + v, 0) / 20) }
+    })
+};
+const textEncoder = { run: async () => ({ text_emb: new Tensor('float32', new Float32Array(1), [1]) }) };
+const vectorEstimator = { run: async ({ noisy_latent }) => ({ denoised_latent: { data: noisy_latent.data } }) };
+const chunkSamples = cfgs.ae.base_chunk_size * cfgs.ttl.chunk_compress_factor;
+const vocoder = {
+    run: async ({ latent }) => ({ wav_tts: { data: new Float32Array(latent.dims[2] * chunkSamples).fill(0.5) } })
+};
+
+const tts = new TextToSpeech(cfgs, textProcessor, durationPredictor, textEncoder, vectorEstimator, vocoder);
+tts.yieldEachStep = false;
+const style = new Style(
+    new Tensor('float32', new Float32Array(50 * 256), [1, 50, 256]),
+    new Tensor('float32', new Float32Array(8 * 16), [1, 8, 16])
+);
+
+const SILENCE = 0.3;
+const sentence = (n) => `Sentence number ${n} is long enough to fill a good part of one chunk.`;
+const cases = [
+    {
+        name: '500ms break between two chunks',
+        ssml: `<speak>${sentence(1)} <break time="500ms"/> ${sentence(2)}</speak>`,
+        maxChars: 80,
+        chunks: 2,
+        pauses: [0.5]
+    },
+    {
+        name: 'break at a chunk end, then a plain sentence split',
+        ssml: `<speak>${sentence(1)}<break time="1.2s"/>${sentence(2)} ${sentence(3)}</speak>`,
+        maxChars: 80,
+        chunks: 3,
+        pauses: [1.2, SILENCE]
+    },
+    {
+        name: 'break inside one chunk',
+        ssml: '<speak>Short one.<break time="250ms"/>Short two.</speak>',
+        maxChars: 300,
+        chunks: 1,
+        pauses: [0.25]
+    }
+];
+
+// Lengths of the zero runs between the spoken parts
+function pausesIn(wav) {
+    const pauses = [];
+    let run = 0;
+    let spoken = false;
+    for (const sample of wav) {
+        if (sample === 0) {
+            run++;
+        } else {
+            if (spoken && run > 0) pauses.push(run);
+            spoken = true;
+            run = 0;
+        }
+    }
+    return pauses;
+}
+
+let failures = 0;
+for (const { name, ssml, maxChars, chunks: expectedChunks, pauses } of cases) {
+    const chunks = chunkSSML(ssml, maxChars);
+    const parts = [];
+    for (const chunk of chunks) {
+        const { wav } = await tts.call(chunk, style, 1, 1, SILENCE);
+        const pause = Math.floor(chunkPause(chunk, SILENCE) * tts.sampleRate);
+        parts.push(wav, new Float32Array(pause));
+    }
+    const audio = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        audio.set(part, offset);
+        offset += part.length;
+    }
+
+    const expected = pauses.map(seconds => Math.floor(seconds * tts.sampleRate));
+    const got = pausesIn(audio);
+    if (chunks.length !== expectedChunks || JSON.stringify(got) !== JSON.stringify(expected)) {
+        failures++;
+        console.log(`FAIL ${name}`);
+        console.log(`  expected ${expectedChunks} chunks, pauses ${JSON.stringify(expected)} samples`);
+        console.log(`  got      ${chunks.length} chunks, pauses ${JSON.stringify(got)} samples`);
+    }
+}
+
+console.log(`${cases.length - failures}/${cases.length} cases passed`);
+process.exitCode = failures > 0 ? 1 : 0;
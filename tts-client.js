@@ -0,0 +1,205 @@
+// ============================================
+// TTS Worker Client - promise API over one tts-worker.js. The app talks
+// to a TTSWorkerPool (tts-pool.js) of these.
+// ============================================
+
+import { AbortError } from './helper.js';
+
+export class TTSWorkerClient {
+    constructor(workerUrl = new URL('./tts-worker.js', import.meta.url)) {
+        this.worker = new Worker(workerUrl, { type: 'module' });
+        this.pending = new Map(); // id -> { resolve, reject, onProgress, onSentence }
+        this.nextId = 1;
+        this.sampleRate = null;
+        this.cfgs = null;
+        this.activeSynthesis = null; // Id of the synthesize request in flight
+
+        // The worker posts 'ready' once ONNX Runtime is imported; nothing is
+        // sent before that, so no message can arrive ahead of its handler
+        this.ready = new Promise((resolve, reject) => {
+            this.onReady = resolve;
+            this.onFailed = reject;
+        });
+        this.ready.catch(() => {}); // Reported through the requests instead
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.fail(new Error('TTS worker failed: ' + (event.message || 'could not start')));
+        };
+    }
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.onReady();
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        if (message.type === 'progress') {
+            if (request.onProgress) request.onProgress(message);
+        } else if (message.type === 'sentence') {
+            if (request.onSentence) request.onSentence(message);
+        } else if (message.type === 'result') {
+            this.pending.delete(message.id);
+            request.resolve(message);
+        } else if (message.type === 'error') {
+            this.pending.delete(message.id);
+            let err;
+            if (message.name === 'AbortError') {
+                err = new AbortError(message.message);
+            } else {
+                err = new Error(message.message);
+                err.name = message.name;
+            }
+            request.reject(err);
+        }
+    }
+
+    // Reject everything in flight, e.g. when the worker script fails to load
+    fail(err) {
+        this.onFailed(err);
+        for (const request of this.pending.values()) request.reject(err);
+        this.pending.clear();
+    }
+
+    async send(message, transfer = []) {
+        await this.ready;
+        this.worker.postMessage(message, transfer);
+    }
+
+    request(message, onProgress = null, onSentence = null) {
+        const id = this.nextId++;
+        const promise = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress, onSentence });
+        });
+        this.send({ ...message, id }).catch(err => this.fail(err));
+        return { id, promise };
+    }
+
+    /**
+     * Load the models in the worker. Paths are resolved against the page,
+     * since the worker resolves relative URLs against its own script.
+     * onProgress(modelName, current, total) while models load.
+     */
+    async load({ onnxDir, voiceStylesPath, sessionOptions, numThreads }, onProgress = null) {
+        const absolute = (path) => new URL(path, document.baseURI).href;
+        const { promise } = this.request({
+            type: 'load',
+            onnxDir: absolute(onnxDir),
+            voiceStylesPath: absolute(voiceStylesPath),
+            sessionOptions,
+            numThreads
+        }, onProgress && (({ modelName, current, total }) => onProgress(modelName, current, total)));
+
+        const result = await promise;
+        this.sampleRate = result.sampleRate;
+        this.cfgs = result.cfgs;
+        return { sampleRate: this.sampleRate, cfgs: this.cfgs };
+    }
+
+    // Applied to every later synthesize call
+    setLexicon(entries) {
+        this.send({ type: 'setLexicon', entries }).catch(() => {});
+    }
+
+    // Voice style by name (e.g. "M1"), used by every later synthesize call
+    async setVoice(name) {
+        await this.request({ type: 'setVoice', name }).promise;
+    }
+
+    /**
+     * Synthesize one chunk of text or SSML. Resolves to
+     * { wav: Float32Array, duration: [seconds] }; rejects with an
+     * AbortError if cancel() stops it or it takes longer than `timeout` ms.
+     * onProgress(step, totalStep).
+     * The same `seed` gives the same audio; leave it out for random noise.
+     */
+    async synthesize(text, { totalStep, speed, silenceDuration, seed = null, timeout = 0, onProgress = null }) {
+        const { id, promise } = this.request(
+            { type: 'synthesize', text, totalStep, speed, silenceDuration, seed, timeout },
+            onProgress && (({ step, totalStep: steps }) => onProgress(step, steps))
+        );
+        this.activeSynthesis = id;
+        try {
+            const { wav, duration } = await promise;
+            return { wav, duration };
+        } finally {
+            if (this.activeSynthesis === id) this.activeSynthesis = null;
+        }
+    }
+
+    /**
+     * Synthesize several plain-text chunks in one padded batch. Resolves to
+     * { wavs: [Float32Array], duration: [seconds] }, one per text, each
+     * trimmed to its own predicted length. `seeds`, one per text, give each
+     * text the same starting noise as synthesize() with that seed.
+     */
+    async synthesizeBatch(texts, { totalStep, speed, seeds = null, timeout = 0, onProgress = null }) {
+        const { id, promise } = this.request(
+            { type: 'synthesizeBatch', texts, totalStep, speed, seeds, timeout },
+            onProgress && (({ step, totalStep: steps }) => onProgress(step, steps))
+        );
+        this.activeSynthesis = id;
+        try {
+            const { wavs, duration } = await promise;
+            return { wavs, duration };
+        } finally {
+            if (this.activeSynthesis === id) this.activeSynthesis = null;
+        }
+    }
+
+    /**
+     * Async iterator over the sentences of `text` as the worker finishes
+     * them: { audio: Float32Array, text, startTime, duration }, see
+     * TextToSpeech.stream(). Options as for synthesize(); `timeout` covers
+     * the whole text. Leaving the loop early cancels the rest.
+     */
+    async *stream(text, { totalStep, speed, silenceDuration, seed = null, timeout = 0, onProgress = null }) {
+        const sentences = [];
+        let wake = null;
+        const { id, promise } = this.request(
+            { type: 'stream', text, totalStep, speed, silenceDuration, seed, timeout },
+            onProgress && (({ step, totalStep: steps }) => onProgress(step, steps)),
+            (sentence) => {
+                sentences.push(sentence);
+                if (wake) wake();
+            }
+        );
+        let done = false;
+        const finish = () => {
+            done = true;
+            if (wake) wake();
+        };
+        promise.then(finish, finish); // Errors are rethrown below, after the sentences before them
+        
+        this.activeSynthesis = id;
+        try {
+            while (sentences.length > 0 || !done) {
+                if (sentences.length === 0) {
+                    await new Promise(resolve => { wake = resolve; });
+                    wake = null;
+                    continue;
+                }
+                const { audio, text: sentenceText, startTime, duration } = sentences.shift();
+                yield { audio, text: sentenceText, startTime, duration };
+            }
+            await promise;
+        } finally {
+            if (!done) this.send({ type: 'cancel', id }).catch(() => {});
+            if (this.activeSynthesis === id) this.activeSynthesis = null;
+        }
+    }
+
+    // Stop the chunk or batch being synthesized at its next denoising step
+    cancel() {
+        if (this.activeSynthesis) this.send({ type: 'cancel', id: this.activeSynthesis }).catch(() => {});
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.fail(new Error('TTS worker terminated'));
+    }
+}
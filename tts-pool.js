@@ -0,0 +1,140 @@
+// ============================================
+// TTS Worker Pool - several synthesis workers converting chunks side by
+// side. One inference keeps only a couple of cores busy; for a whole book
+// total time matters more than the latency of any one chunk.
+// Same API as TTSWorkerClient, plus `size`.
+// ============================================
+
+import { loadTextProcessor, AbortError } from './helper.js';
+import { TTSWorkerClient } from './tts-client.js';
+
+const MAX_POOL_SIZE = 8;
+const THREADS_PER_WORKER = 2;
+const WORKER_MEMORY_GB = 0.75; // Models, ONNX Runtime heap and buffers of one worker
+const MEMORY_SHARE = 0.5;      // Of navigator.deviceMemory the pool may take
+
+/**
+ * Pool size and WASM threads per worker for this device: enough workers of
+ * `maxThreads` threads to fill the cores, capped by memory. WebGPU shares
+ * one GPU, so one worker.
+ */
+export function planPool({ executionProvider = 'wasm', maxThreads = THREADS_PER_WORKER } = {}) {
+    if (executionProvider !== 'wasm') return { size: 1, threadsPerWorker: null };
+
+    const cores = navigator.hardwareConcurrency || 4;
+    const memoryGB = navigator.deviceMemory || 4; // Chrome only, rounded and capped at 8
+    const byMemory = Math.max(1, Math.floor(memoryGB * MEMORY_SHARE / WORKER_MEMORY_GB));
+
+    // WASM threads need cross-origin isolation; without it each worker runs one
+    const threadsPerWorker = globalThis.crossOriginIsolated ? Math.max(1, maxThreads) : 1;
+    const size = Math.max(1, Math.min(Math.floor(cores / threadsPerWorker), byMemory, MAX_POOL_SIZE));
+    return { size, threadsPerWorker };
+}
+
+export class TTSWorkerPool {
+    constructor(size) {
+        this.workers = Array.from({ length: size }, () => new TTSWorkerClient());
+        this.idle = [];
+        this.waiting = []; // { resolve, reject } of synthesize calls queued for a worker
+        this.textProcessor = null;
+        this.sampleRate = null;
+        this.cfgs = null;
+    }
+
+    get size() {
+        return this.workers.length;
+    }
+
+    /**
+     * Load the models in every worker. Workers that fail (usually out of
+     * memory) are dropped; only if none loads does this throw.
+     * onProgress(modelName, current, total) follows the first worker.
+     */
+    async load(options, onProgress = null) {
+        const results = await Promise.allSettled(this.workers.map((worker, i) =>
+            worker.load(options, i === 0 ? onProgress : null)
+        ));
+
+        const loaded = this.workers.filter((worker, i) => results[i].status === 'fulfilled');
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                console.warn(`Synthesis worker ${i + 1} failed to load, dropping it:`, result.reason);
+                this.workers[i].terminate();
+            }
+        });
+        if (loaded.length === 0) throw results[0].reason;
+
+        this.workers = loaded;
+        this.idle = [...loaded];
+        this.sampleRate = loaded[0].sampleRate;
+        this.cfgs = loaded[0].cfgs;
+        this.textProcessor = await loadTextProcessor(options.onnxDir);
+        console.log(`Synthesis pool ready: ${loaded.length} workers`);
+        return { sampleRate: this.sampleRate, cfgs: this.cfgs };
+    }
+
+    setLexicon(entries) {
+        if (this.textProcessor) this.textProcessor.setLexicon(entries);
+        for (const worker of this.workers) worker.setLexicon(entries);
+    }
+
+    async setVoice(name) {
+        await Promise.all(this.workers.map(worker => worker.setVoice(name)));
+    }
+
+    acquire() {
+        if (this.idle.length > 0) return Promise.resolve(this.idle.pop());
+        return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+    }
+
+    release(worker) {
+        const next = this.waiting.shift();
+        if (next) next.resolve(worker);
+        else this.idle.push(worker);
+    }
+
+    /**
+     * Synthesize on the next free worker; waits while all are busy.
+     * Callers keep up to `size` of these in flight.
+     */
+    async synthesize(text, options) {
+        const worker = await this.acquire();
+        try {
+            return await worker.synthesize(text, options);
+        } finally {
+            this.release(worker);
+        }
+    }
+
+    async synthesizeBatch(texts, options) {
+        const worker = await this.acquire();
+        try {
+            return await worker.synthesizeBatch(texts, options);
+        } finally {
+            this.release(worker);
+        }
+    }
+
+    // Holds one worker until the stream ends or the caller leaves the loop
+    async *stream(text, options) {
+        const worker = await this.acquire();
+        try {
+            yield* worker.stream(text, options);
+        } finally {
+            this.release(worker);
+        }
+    }
+
+    // Stop every chunk in progress and every one waiting for a worker
+    cancel() {
+        const waiting = this.waiting.splice(0);
+        for (const { reject } of waiting) reject(new AbortError());
+        for (const worker of this.workers) worker.cancel();
+    }
+
+    terminate() {
+        for (const worker of this.workers) worker.terminate();
+        this.workers = [];
+        this.idle = [];
+    }
+}
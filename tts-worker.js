@@ -0,0 +1,128 @@
+// ============================================
+// TTS Worker - runs the ONNX sessions off the main thread, so the page
+// stays smooth and synthesis keeps going while the tab is in the background.
+// Talk to it through TTSWorkerClient (tts-client.js). Messages:
+//
+//   in:  { type: 'load', id, onnxDir, voiceStylesPath, sessionOptions, numThreads }
+//        { type: 'setLexicon', entries }
+//        { type: 'setVoice', id, name }
+//        { type: 'synthesize', id, text, totalStep, speed, silenceDuration, seed, timeout }
+//        { type: 'synthesizeBatch', id, texts, totalStep, speed, seeds, timeout }
+//        { type: 'stream', id, text, totalStep, speed, silenceDuration, seed, timeout }
+//        { type: 'cancel', id }
+//   out: { type: 'progress', id, ... }       model loading or denoising steps
+//        { type: 'sentence', id, audio, text, startTime, duration }   of a stream
+//        { type: 'result', id, ... }         wav / wavs are transferred Float32Arrays
+//        { type: 'error', id, name, message }   name 'AbortError' when cancelled or timed out
+// ============================================
+
+const ORT_URL = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/ort.min.mjs';
+
+// helper.js reads globalThis.ort when it is first evaluated
+globalThis.ort = await import(ORT_URL);
+const { loadTextToSpeech, configureEnv, AbortError } = await import('./helper.js');
+
+let tts = null;
+let style = null;
+let lexicon = [];            // Kept for models loaded after it arrives
+const running = new Map(); // Id of each synthesize request in progress -> its AbortController
+
+function post(message, transfer = []) {
+    self.postMessage(message, transfer);
+}
+
+// Run one synthesize request so that cancel({ id }) can stop it, as can
+// `timeout` (ms, optional) running out. Either aborts at the next step.
+async function runCancellable(id, timeout, synthesize) {
+    if (!tts || !style) throw new Error('TTS models or voice are not loaded');
+    const controller = new AbortController();
+    const timer = timeout > 0
+        ? setTimeout(() => controller.abort(new AbortError(`Synthesis timed out after ${timeout / 1000}s`)), timeout)
+        : null;
+    const progressCallback = (step, steps) => {
+        post({ type: 'progress', id, step, totalStep: steps });
+    };
+    running.set(id, controller);
+    try {
+        return await synthesize(progressCallback, controller.signal);
+    } finally {
+        clearTimeout(timer);
+        running.delete(id);
+    }
+}
+
+const handlers = {
+    async load({ id, onnxDir, voiceStylesPath, sessionOptions, numThreads }) {
+        if (numThreads) configureEnv({ numThreads });
+        const progressCallback = (modelName, current, total) => {
+            post({ type: 'progress', id, modelName, current, total });
+        };
+        const result = await loadTextToSpeech(onnxDir, sessionOptions, progressCallback);
+        tts = result.textToSpeech;
+        tts.voiceStylesPath = voiceStylesPath;
+        tts.setLexicon(lexicon);
+        return { sampleRate: tts.sampleRate, cfgs: result.cfgs };
+    },
+
+    setLexicon({ entries }) {
+        lexicon = entries;
+        if (tts) tts.setLexicon(entries);
+    },
+
+    async setVoice({ name }) {
+        if (!tts) throw new Error('TTS models are not loaded');
+        style = await tts.getVoiceStyle(name);
+        return {};
+    },
+
+    async synthesize({ id, text, totalStep, speed, silenceDuration, seed, timeout }) {
+        const { wav, duration } = await runCancellable(id, timeout, (progressCallback, signal) =>
+            tts.call(text, style, totalStep, speed, silenceDuration, progressCallback, seed, signal)
+        );
+        return { wav, duration, transfer: [wav.buffer] };
+    },
+
+    // Plain texts of similar length in one padded inference pass
+    async synthesizeBatch({ id, texts, totalStep, speed, seeds, timeout }) {
+        const { wavs, duration } = await runCancellable(id, timeout, (progressCallback, signal) =>
+            tts.batch(texts, style, totalStep, speed, progressCallback, seeds, signal)
+        );
+        return { wavs, duration, transfer: wavs.map(wav => wav.buffer) };
+    },
+
+    // Posts each sentence as it is done; the result only marks the end
+    async stream({ id, text, totalStep, speed, silenceDuration, seed, timeout }) {
+        await runCancellable(id, timeout, async (progressCallback, signal) => {
+            const sentences = tts.stream(text, style, { totalStep, speed, silenceDuration, progressCallback, seed, signal });
+            for await (const sentence of sentences) {
+                post({ type: 'sentence', id, ...sentence }, [sentence.audio.buffer]);
+            }
+        });
+        return {};
+    },
+
+    cancel({ id }) {
+        running.get(id)?.abort(new AbortError());
+    }
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    const handler = handlers[message.type];
+    if (!handler) {
+        post({ type: 'error', id: message.id, name: 'Error', message: `Unknown message type "${message.type}"` });
+        return;
+    }
+
+    try {
+        const result = await handler(message);
+        if (result === undefined) return; // Fire-and-forget message
+        const { transfer = [], ...payload } = result;
+        post({ type: 'result', id: message.id, ...payload }, transfer);
+    } catch (err) {
+        console.error(`TTS worker: ${message.type} failed:`, err);
+        post({ type: 'error', id: message.id, name: err.name || 'Error', message: err.message || String(err) });
+    }
+};
+
+post({ type: 'ready' });
@@ -0,0 +1,96 @@
+// ============================================
+// Vorbis Comments - tag block shared by Ogg Opus and FLAC exports
+// ============================================
+
+const textEncoder = new TextEncoder();
+
+function u32le(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value, true);
+    return out;
+}
+
+function u32be(value) {
+    const out = new Uint8Array(4);
+    new DataView(out.buffer).setUint32(0, value);
+    return out;
+}
+
+function concat(parts) {
+    const size = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * Vorbis comment body: vendor string followed by FIELD=value entries,
+ * all length-prefixed little-endian (no framing bit)
+ */
+export function vorbisCommentBody(vendor, fields) {
+    const parts = [];
+    const vendorBytes = textEncoder.encode(vendor);
+    parts.push(u32le(vendorBytes.length), vendorBytes, u32le(fields.length));
+    for (const [key, value] of fields) {
+        const entry = textEncoder.encode(`${key}=${value}`);
+        parts.push(u32le(entry.length), entry);
+    }
+    return concat(parts);
+}
+
+function formatTimestamp(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor((ms % 3600000) / 60000);
+    const s = Math.floor((ms % 60000) / 1000);
+    const pad = (value, len = 2) => String(value).padStart(len, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Standard tag fields for a track: title, author, album and the
+ * CHAPTERxxx / CHAPTERxxxNAME chapter list. Marker starts are in samples.
+ */
+export function bookCommentFields({ title, author, album, markers = [], sampleRate }) {
+    const fields = [];
+    if (title) fields.push(['TITLE', title]);
+    if (author) fields.push(['ARTIST', author]);
+    if (album) fields.push(['ALBUM', album]);
+    fields.push(['GENRE', 'Audiobook']);
+
+    markers.forEach((marker, i) => {
+        const id = `CHAPTER${String(i + 1).padStart(3, '0')}`;
+        fields.push([id, formatTimestamp(marker.start / sampleRate)]);
+        fields.push([`${id}NAME`, marker.title]);
+    });
+    return fields;
+}
+
+/**
+ * FLAC PICTURE block body (big-endian) for a front cover.
+ * Also the payload of Ogg METADATA_BLOCK_PICTURE, base64-encoded.
+ */
+export function pictureBlock(cover) {
+    const mime = textEncoder.encode(cover.mediaType || 'image/jpeg');
+    return concat([
+        u32be(3),                 // Front cover
+        u32be(mime.length), mime,
+        u32be(0),                 // Description
+        u32be(0), u32be(0),       // Width, height (unknown)
+        u32be(0), u32be(0),       // Color depth, palette size
+        u32be(cover.data.length), cover.data
+    ]);
+}
+
+export function toBase64(bytes) {
+    let binary = '';
+    const step = 0x8000;
+    for (let i = 0; i < bytes.length; i += step) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + step));
+    }
+    return btoa(binary);
+}
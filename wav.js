@@ -0,0 +1,139 @@
+// ============================================
+// WAV Headers - 16-bit mono PCM, switching to RF64 (EBU Tech 3306)
+// once the data no longer fits the 32-bit RIFF size fields
+// ============================================
+
+const RIFF_HEADER_SIZE = 44;
+const RF64_HEADER_SIZE = 80;      // RIFF header plus a 36-byte ds64 chunk
+const MAX_UINT32 = 0xFFFFFFFF;
+
+/**
+ * Whether `dataSize` bytes of PCM behind a `headerSize`-byte header need
+ * an RF64 header
+ */
+export function needsRF64(dataSize, headerSize = RIFF_HEADER_SIZE) {
+    return headerSize - 8 + dataSize > MAX_UINT32;
+}
+
+/**
+ * Header for `dataSize` bytes of 16-bit mono PCM at `sampleRate`.
+ * Plain 44-byte RIFF when it fits, 80-byte RF64 with ds64 otherwise.
+ * With `reserveDs64` the header is always 80 bytes (a JUNK chunk holds
+ * the ds64 space), so it can be written before the size is known and
+ * patched in place afterwards.
+ */
+export function wavHeader(sampleRate, dataSize, { reserveDs64 = false } = {}) {
+    const rf64 = needsRF64(dataSize, reserveDs64 ? RF64_HEADER_SIZE : RIFF_HEADER_SIZE);
+    const headerSize = rf64 || reserveDs64 ? RF64_HEADER_SIZE : RIFF_HEADER_SIZE;
+    const header = new Uint8Array(headerSize);
+    const view = new DataView(header.buffer);
+
+    const writeString = (offset, string) => {
+        for (let i = 0; i < string.length; i++) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+        }
+    };
+
+    let offset = 12;
+    writeString(0, rf64 ? 'RF64' : 'RIFF');
+    view.setUint32(4, rf64 ? MAX_UINT32 : headerSize - 8 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    if (rf64) {
+        // Real sizes live here; the 32-bit fields are set to -1
+        writeString(12, 'ds64');
+        view.setUint32(16, 28, true);
+        view.setBigUint64(20, BigInt(headerSize - 8 + dataSize), true); // RIFF size
+        view.setBigUint64(28, BigInt(dataSize), true);                   // data size
+        view.setBigUint64(36, BigInt(dataSize / 2), true);               // Sample count
+        view.setUint32(44, 0, true);                                     // No table entries
+        offset = 48;
+    } else if (reserveDs64) {
+        writeString(12, 'JUNK');
+        view.setUint32(16, 28, true);
+        offset = 48;
+    }
+
+    writeString(offset, 'fmt ');
+    view.setUint32(offset + 4, 16, true);
+    view.setUint16(offset + 8, 1, true); // PCM
+    view.setUint16(offset + 10, 1, true); // Mono
+    view.setUint32(offset + 12, sampleRate, true);
+    view.setUint32(offset + 16, sampleRate * 2, true);
+    view.setUint16(offset + 20, 2, true);
+    view.setUint16(offset + 22, 16, true);
+    writeString(offset + 24, 'data');
+    view.setUint32(offset + 28, rf64 ? MAX_UINT32 : dataSize, true);
+
+    return header;
+}
+
+/**
+ * Re-read the header of an exported WAV and check it describes exactly
+ * `dataSize` bytes of 16-bit mono PCM at `sampleRate` filling the rest of
+ * the file. Throws on any mismatch; returns the parsed header otherwise.
+ */
+export async function verifyWavHeader(blob, { sampleRate, dataSize }) {
+    const bytes = new Uint8Array(await blob.slice(0, 512).arrayBuffer());
+    const view = new DataView(bytes.buffer);
+    const readString = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    if (bytes.length < 12) throw new Error('WAV header check failed: file too short');
+    const form = readString(0);
+    if ((form !== 'RIFF' && form !== 'RF64') || readString(8) !== 'WAVE') {
+        throw new Error(`WAV header check failed: unexpected form "${form}"`);
+    }
+
+    let riffSize = view.getUint32(4, true);
+    let ds64 = null;
+    let fmt = null;
+    let dataOffset = null;
+    let headerDataSize = null;
+
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = readString(offset);
+        const size = view.getUint32(offset + 4, true);
+
+        if (id === 'ds64') {
+            ds64 = {
+                riffSize: Number(view.getBigUint64(offset + 8, true)),
+                dataSize: Number(view.getBigUint64(offset + 16, true))
+            };
+        } else if (id === 'fmt ') {
+            fmt = {
+                format: view.getUint16(offset + 8, true),
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bitsPerSample: view.getUint16(offset + 22, true)
+            };
+        } else if (id === 'data') {
+            dataOffset = offset + 8;
+            headerDataSize = size;
+            break;
+        }
+        offset += 8 + size + (size & 1);
+    }
+
+    if (form === 'RF64') {
+        if (!ds64) throw new Error('WAV header check failed: RF64 without ds64 chunk');
+        if (riffSize === MAX_UINT32) riffSize = ds64.riffSize;
+        if (headerDataSize === MAX_UINT32) headerDataSize = ds64.dataSize;
+    }
+
+    const problems = [];
+    if (!fmt) problems.push('missing fmt chunk');
+    else if (fmt.format !== 1 || fmt.channels !== 1 || fmt.bitsPerSample !== 16 || fmt.sampleRate !== sampleRate) {
+        problems.push(`unexpected format ${fmt.format}/${fmt.channels}ch/${fmt.bitsPerSample}bit/${fmt.sampleRate}Hz`);
+    }
+    if (dataOffset === null) problems.push('missing data chunk');
+    else {
+        if (headerDataSize !== dataSize) problems.push(`data size ${headerDataSize} != ${dataSize}`);
+        if (dataOffset + dataSize !== blob.size) problems.push(`data does not end at file end (${dataOffset + dataSize} != ${blob.size})`);
+    }
+    if (riffSize !== blob.size - 8) problems.push(`RIFF size ${riffSize} != ${blob.size - 8}`);
+
+    if (problems.length > 0) {
+        throw new Error('WAV header check failed: ' + problems.join(', '));
+    }
+    return { form, riffSize, dataOffset, dataSize: headerDataSize, ...fmt };
+}